@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command line tool to check or sort the imports of files without running ESLint
+ * @author marudor
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const Ajv = require("ajv");
+const glob = require("glob");
+const ESLint = require("eslint").ESLint;
+const sortImports = require("../lib/sort-imports").sortImports;
+const rule = require("../rules/sort-imports-es6");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const readFile = util.promisify(fs.readFile),
+    writeFile = util.promisify(fs.writeFile),
+    statFile = util.promisify(fs.stat);
+
+const RULE_NAME = "sort-imports-es6-autofix/sort-imports-es6";
+
+const EXTENSIONS = ["js", "jsx", "mjs", "cjs", "ts", "tsx", "mts", "cts"];
+
+// The modules tried for each parser, resolved from the working directory.
+const PARSERS = {
+    espree: [],
+    babel: ["@babel/eslint-parser", "babel-eslint"],
+    typescript: ["@typescript-eslint/parser"]
+};
+
+const USAGE = `Usage: sort-imports-es6 (--check | --write) [options] <files, directories or globs...>
+       sort-imports-es6 --stdin [--stdin-filename <file>] [options]
+
+Modes:
+  --check                    Report files with unsorted imports, exit with 1 if there are any
+  --write                    Sort the imports of the files in place
+  --stdin                    Sort the imports of the source read from stdin and print it
+
+Options:
+  --options <json>           Options of the sort-imports-es6 rule, read from the ESLint config by default
+  --parser <name>            espree, babel or typescript, picked by file extension by default
+  --stdin-filename <file>    Name of the file read from stdin, to pick the parser and the ESLint config
+  --help                     Show this help`;
+
+/**
+ * Checks options given on the command line against the schema of the rule, like ESLint checks the options of its config.
+ * @param {Object} options - the options of the sort-imports-es6 rule.
+ * @returns {Object} the options.
+ * @throws {Error} if the options do not match the schema.
+ */
+function validateOptions(options) {
+    const ajv = new Ajv({ allErrors: true }),
+        validate = ajv.compile(rule.meta.schema[0]);
+
+    if (!validate(options)) {
+        throw new Error(`Invalid --options: ${ajv.errorsText(validate.errors, { dataVar: "options" })}.`);
+    }
+    return options;
+}
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} args - the arguments, without the node executable and the script.
+ * @returns {Object} the parsed arguments.
+ * @throws {Error} if an argument is unknown, misses its value or the options are invalid.
+ */
+function parseArguments(args) {
+    const parsed = { mode: null, options: null, parser: null, stdinFilename: null, patterns: [], help: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i],
+            takeValue = () => {
+                if (i + 1 >= args.length) {
+                    throw new Error(`Missing value for ${arg}.`);
+                }
+                return args[++i];
+            };
+
+        if (arg === "--check" || arg === "--write" || arg === "--stdin") {
+            if (parsed.mode) {
+                throw new Error(`${arg} cannot be combined with --${parsed.mode}.`);
+            }
+            parsed.mode = arg.slice(2);
+        } else if (arg === "--options") {
+            parsed.options = validateOptions(JSON.parse(takeValue()));
+        } else if (arg === "--parser") {
+            parsed.parser = takeValue();
+            if (!Object.prototype.hasOwnProperty.call(PARSERS, parsed.parser)) {
+                throw new Error(`Unknown parser '${parsed.parser}', expected one of ${Object.keys(PARSERS).join(", ")}.`);
+            }
+        } else if (arg === "--stdin-filename") {
+            parsed.stdinFilename = takeValue();
+        } else if (arg === "--help" || arg === "-h") {
+            parsed.help = true;
+        } else if (arg.startsWith("-")) {
+            throw new Error(`Unknown option ${arg}.`);
+        } else {
+            parsed.patterns.push(arg);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Gets the name of the parser for a file from its extension.
+ * @param {string} filename - the file name.
+ * @returns {string} the parser name, one of the keys of PARSERS.
+ */
+function getParserName(filename) {
+    const extension = path.extname(filename).slice(1);
+    if (["ts", "tsx", "mts", "cts"].indexOf(extension) !== -1) {
+        return "typescript";
+    } else if (extension === "jsx") {
+        return "babel";
+    }
+    return "espree";
+}
+
+/**
+ * Loads a parser and the options to parse a file with it.
+ * @param {string} name - the parser name, one of the keys of PARSERS.
+ * @param {string} filename - the file name.
+ * @returns {Object} the parser and its parser options, as accepted by sortImports.
+ * @throws {Error} if the parser is not installed.
+ */
+function getParserConfig(name, filename) {
+    const extension = path.extname(filename),
+
+        // Node runs .cjs files as CommonJS scripts, which may return at the top level.
+        script = extension === ".cjs",
+        parserOptions = {
+            sourceType: script ? "script" : "module",
+            ecmaFeatures: { jsx: name !== "typescript" || extension === ".tsx", globalReturn: script },
+            filePath: filename
+        };
+    if (!PARSERS[name].length) {
+        return { parserOptions };
+    }
+    for (const moduleName of PARSERS[name]) {
+        let resolved;
+        try {
+            resolved = require.resolve(moduleName, { paths: [process.cwd(), __dirname] });
+        } catch (error) {
+            continue;
+        }
+        return {
+            parser: require(resolved),
+            parserOptions: moduleName === "@babel/eslint-parser" ? Object.assign({ requireConfigFile: false }, parserOptions) : parserOptions
+        };
+    }
+    throw new Error(`The ${name} parser requires ${PARSERS[name].join(" or ")} to be installed.`);
+}
+
+/**
+ * Gets the options of the sort-imports-es6 rule the project's ESLint config sets for a file.
+ * @param {ESLint} eslint - the ESLint instance of the run.
+ * @param {string} filename - the file name.
+ * @returns {Promise<Object>} the rule options, empty if the rule is not configured.
+ */
+async function getConfiguredOptions(eslint, filename) {
+    let config;
+    try {
+        config = await eslint.calculateConfigForFile(filename);
+    } catch (error) {
+
+        // Files without an ESLint config are sorted with the default options.
+        return {};
+    }
+    const setting = config && config.rules && config.rules[RULE_NAME];
+    return (Array.isArray(setting) && setting[1]) || {};
+}
+
+/**
+ * Sorts the imports of a source text.
+ * @param {string} source - the source text.
+ * @param {string} filename - the file name, used to pick the parser and the ESLint config.
+ * @param {Object} args - the parsed arguments.
+ * @param {?ESLint} eslint - the ESLint instance of the run, null if the options are given as an argument.
+ * @returns {Promise<Object>} the result of sortImports.
+ */
+async function sortSource(source, filename, args, eslint) {
+    const options = args.options || await getConfiguredOptions(eslint, filename);
+    return sortImports(source, options, getParserConfig(args.parser || getParserName(filename), filename));
+}
+
+/**
+ * Expands the file, directory and glob arguments to the files they match.
+ * @param {string[]} patterns - the arguments.
+ * @returns {Promise<string[]>} the unique file names.
+ */
+async function findFiles(patterns) {
+    const files = [];
+    for (const pattern of patterns) {
+        let stats = null;
+        try {
+            stats = await statFile(pattern);
+        } catch (error) {
+
+            // Not a file or directory, so it is a glob.
+        }
+        const matches = stats && stats.isFile()
+            ? [pattern]
+            : glob.sync(stats ? `${pattern.replace(/[\\/]+$/, "")}/**/*.{${EXTENSIONS.join(",")}}` : pattern, {
+                nodir: true,
+                ignore: "**/node_modules/**"
+            });
+        matches.forEach(file => {
+            if (files.indexOf(file) === -1) {
+                files.push(file);
+            }
+        });
+    }
+    return files;
+}
+
+/**
+ * Reads all of stdin.
+ * @returns {Promise<string>} the text read.
+ */
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let text = "";
+        process.stdin.setEncoding("utf8");
+        process.stdin.on("data", chunk => {
+            text += chunk;
+        });
+        process.stdin.on("end", () => resolve(text));
+        process.stdin.on("error", reject);
+    });
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Runs the command line tool.
+ * @param {string[]} argv - the arguments, without the node executable and the script.
+ * @returns {Promise<number>} the exit code: 0 on success, 1 if --check found unsorted files, 2 on errors.
+ */
+async function run(argv) {
+    let args;
+    try {
+        args = parseArguments(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (args.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (!args.mode || (args.mode === "stdin") !== (args.patterns.length === 0)) {
+        process.stderr.write(`${USAGE}\n`);
+        return 2;
+    }
+
+    // The ESLint config is only read when the options are not given as an argument.
+    const eslint = args.options ? null : new ESLint();
+
+    if (args.mode === "stdin") {
+        const filename = path.resolve(args.stdinFilename || "stdin.js");
+        try {
+            process.stdout.write((await sortSource(await readStdin(), filename, args, eslint)).output);
+        } catch (error) {
+            process.stderr.write(`${args.stdinFilename || "<stdin>"}: ${error.message}\n`);
+            return 2;
+        }
+        return 0;
+    }
+
+    const files = await findFiles(args.patterns);
+    let exitCode = 0,
+        unsortedCount = 0;
+
+    if (!files.length) {
+        process.stderr.write(`No files matching ${args.patterns.join(" ")} were found.\n`);
+        return 2;
+    }
+
+    for (const file of files) {
+        try {
+            const source = await readFile(file, "utf8"),
+                result = await sortSource(source, path.resolve(file), args, eslint);
+
+            if (args.mode === "check") {
+
+                // Violations without an autofix, like imports that only get a suggestion, fail the check too.
+                if (result.violations.length) {
+                    unsortedCount++;
+                    result.violations.forEach(violation => {
+                        process.stdout.write(`${file}:${violation.line}:${violation.column}  ${violation.message}\n`);
+                    });
+                    exitCode = Math.max(exitCode, 1);
+                }
+            } else if (result.output !== source) {
+                await writeFile(file, result.output);
+                process.stdout.write(`${file}\n`);
+            }
+        } catch (error) {
+            process.stderr.write(`${file}: ${error.message}\n`);
+            exitCode = 2;
+        }
+    }
+
+    if (args.mode === "check" && unsortedCount) {
+        process.stdout.write(`\n${unsortedCount} of ${files.length} files have unsorted imports. Run with --write to sort them.\n`);
+    }
+    return exitCode;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    }, error => {
+        process.stderr.write(`${error.stack}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = {
+    run
+};
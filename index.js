@@ -5,8 +5,69 @@
  */
 'use strict';
 
-module.exports = {
-	rules: {
-		'sort-imports-es6': require('./rules/sort-imports-es6')
-	}
+const pkg = require('./package.json');
+
+const PLUGIN_NAME = 'sort-imports-es6-autofix';
+
+const rules = {
+	'sort-imports-es6': require('./rules/sort-imports-es6'),
+	'sort-exports-es6': require('./rules/sort-exports-es6')
+};
+
+/**
+ * Gets the rule settings of a shareable config.
+ * @param {Object} importOptions - the options of the sort-imports-es6 rule.
+ * @returns {Object} the rule settings.
+ */
+function getRules(importOptions) {
+	return {
+		[`${PLUGIN_NAME}/sort-imports-es6`]: ['error', Object.assign({
+			ignoreCase: false,
+			ignoreMemberSort: false,
+			memberSyntaxSortOrder: ['none', 'all', 'multiple', 'single'],
+			sortBy: 'localName'
+		}, importOptions)],
+		[`${PLUGIN_NAME}/sort-exports-es6`]: 'error'
+	};
+}
+
+// Type imports only exist with TypeScript and Flow, both of which also support inline `type` members.
+const typeImportRules = getRules({ typeSortStrategy: 'after', memberTypeSortStrategy: 'after' });
+
+const ruleSettings = {
+	recommended: getRules({}),
+	typescript: typeImportRules,
+	flow: typeImportRules
+};
+
+const plugin = {
+	meta: {
+		name: pkg.name,
+		version: pkg.version
+	},
+	rules,
+	configs: {}
 };
+
+// ESLint 7 defaults to ecmaVersion 5, which does not support modules. Flat configs default to the latest version.
+Object.keys(ruleSettings).forEach(name => {
+	plugin.configs[name] = {
+		plugins: [PLUGIN_NAME],
+		parserOptions: {
+			ecmaVersion: 2020,
+			sourceType: 'module'
+		},
+		rules: ruleSettings[name]
+	};
+	plugin.configs[`flat/${name}`] = {
+		plugins: {
+			[PLUGIN_NAME]: plugin
+		},
+		languageOptions: {
+			sourceType: 'module'
+		},
+		rules: ruleSettings[name]
+	};
+});
+
+module.exports = plugin;
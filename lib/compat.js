@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Compatibility layer for the rule context APIs of different ESLint versions
+ * @author marudor
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Gets the source code of the file being linted.
+ * ESLint 9 removed `context.getSourceCode()` in favor of `context.sourceCode`, which ESLint 7 does not have yet.
+ * @param {RuleContext} context - the rule context.
+ * @returns {SourceCode} the source code object.
+ */
+function getSourceCode(context) {
+    return context.sourceCode || context.getSourceCode();
+}
+
+module.exports = {
+    getSourceCode
+};
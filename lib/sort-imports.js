@@ -0,0 +1,1534 @@
+/**
+ * @fileoverview Sorting of import declarations, shared by the sort-imports-es6 rule and the standalone API
+ * @author Christian Schuller
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const builtinModules = require("module").builtinModules;
+const path = require("path");
+const SourceCode = require("eslint").SourceCode;
+
+// The espree of the installed ESLint, so that the standalone API parses the same syntax as the rule.
+const espree = require(require.resolve("espree", { paths: [path.dirname(require.resolve("eslint"))] }));
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const MODULE_KINDS = ["builtin", "external", "internal", "parent", "sibling", "index"];
+
+// The built-in member groups, by the case of the member name. Leading `_` and `$` are ignored.
+const MEMBER_CASE_PATTERNS = {
+    UPPER_CASE: /^[_$]*[A-Z][A-Z0-9_$]*$/,
+    PascalCase: /^[_$]*[A-Z](?![A-Z0-9_$]*$)/,
+    camelCase: /^[_$]*[a-z]/
+};
+const MEMBER_CASES = Object.keys(MEMBER_CASE_PATTERNS);
+
+/**
+ * Gets the kind of module an import source refers to.
+ *
+ * import fs from "fs" --> builtin
+ * import React from "react" --> external
+ * import api from "@/api" --> internal
+ * import parent from "../parent" --> parent
+ * import sibling from "./sibling" --> sibling
+ * import index from "./" --> index
+ *
+ * @param {string} source - the import source.
+ * @returns {string} the module kind, one of MODULE_KINDS.
+ */
+function getModuleKind(source) {
+    if (/^\.(\/(index(\.[a-z]+)?)?)?$/i.test(source)) {
+        return "index";
+    } else if (/^\.\.(\/|$)/.test(source)) {
+        return "parent";
+    } else if (source.startsWith("./")) {
+        return "sibling";
+    } else if (/^[@~]\//.test(source)) {
+        return "internal";
+    } else if (source.startsWith("node:") || builtinModules.indexOf(source) !== -1 || builtinModules.indexOf(source.split("/")[0]) !== -1) {
+        return "builtin";
+    }
+    return "external";
+}
+
+/**
+ * Gets the name a specifier imports from the module, which is an identifier or a string literal.
+ *
+ * import {a} from "my-module.js" --> a
+ * import {a as b} from "my-module.js" --> a
+ * import {"a-b" as ab} from "my-module.js" --> a-b
+ *
+ * @param {ASTNode} specifier - the ImportSpecifier node.
+ * @returns {string} the imported name.
+ */
+function getImportedName(specifier) {
+    return specifier.imported.type === "Literal" ? String(specifier.imported.value) : specifier.imported.name;
+}
+
+/**
+ * Gets the source literal of a `require` call with a string literal as its only argument.
+ * @param {ASTNode} node - the expression.
+ * @returns {?ASTNode} the Literal node, or null if the expression is no such call.
+ */
+function getRequiredSource(node) {
+    if (node && node.type === "CallExpression" && node.callee.type === "Identifier" && node.callee.name === "require" &&
+        node.arguments.length === 1 && node.arguments[0].type === "Literal" && typeof node.arguments[0].value === "string") {
+        return node.arguments[0];
+    }
+    return null;
+}
+
+/**
+ * Gets a statement that requires a module in the shape of an ImportDeclaration, so that it can be sorted like one.
+ * Destructured properties become named specifiers, which keep the type and range of the Property node.
+ *
+ * require("my-module.js") --> none
+ * const myModule = require("my-module.js") --> all
+ * const {foo, bar} = require("my-module.js") --> multiple
+ * const myMember = require("my-module.js").myMember --> single
+ *
+ * @param {ASTNode} node - the top level statement.
+ * @returns {?Object} the declaration, or null if the statement is no such require.
+ */
+function getRequireDeclaration(node) {
+    const declaration = { type: node.type, range: node.range, loc: node.loc, specifiers: [] };
+
+    if (node.type === "ExpressionStatement") {
+        declaration.source = getRequiredSource(node.expression);
+        return declaration.source && declaration;
+    }
+    if (node.type !== "VariableDeclaration" || node.declarations.length !== 1 || !node.declarations[0].init) {
+        return null;
+    }
+    const id = node.declarations[0].id,
+        init = node.declarations[0].init;
+
+    if (id.type === "Identifier" && init.type === "MemberExpression" && !init.computed) {
+        declaration.source = getRequiredSource(init.object);
+        declaration.specifiers.push({ type: "ImportDefaultSpecifier", local: id, imported: init.property, range: id.range, loc: id.loc });
+    } else if (id.type === "Identifier") {
+        declaration.source = getRequiredSource(init);
+        declaration.specifiers.push({ type: "ImportNamespaceSpecifier", local: id, range: id.range, loc: id.loc });
+    } else if (id.type === "ObjectPattern" && id.properties.length &&
+        id.properties.every(property => property.type === "Property" && !property.computed && property.value.type === "Identifier")) {
+        declaration.source = getRequiredSource(init);
+        id.properties.forEach(property => {
+            declaration.specifiers.push({ type: "Property", local: property.value, imported: property.key, range: property.range, loc: property.loc });
+        });
+    }
+    return declaration.source ? declaration : null;
+}
+
+/**
+ * Gets the statements of the TypeScript module blocks in a list of statements, including nested ones.
+ *
+ * declare module "my-module.js" { ... } --> module block
+ * declare global { ... } --> module block
+ * export namespace A.B { ... } --> module block
+ *
+ * @param {ASTNode[]} body - the statements.
+ * @returns {ASTNode[][]} the statements of each module block.
+ */
+function getModuleBlockBodies(body) {
+    return body.reduce((bodies, statement) => {
+        let node = statement.type === "ExportNamedDeclaration" && statement.declaration ? statement.declaration : statement;
+        while (node && node.type === "TSModuleDeclaration") {
+            node = node.body;
+        }
+        if (node && node.type === "TSModuleBlock") {
+            bodies.push(node.body);
+            return bodies.concat(getModuleBlockBodies(node.body));
+        }
+        return bodies;
+    }, []);
+}
+
+/**
+ * Gets a TypeScript `import ... = require(...)` declaration in the shape of an ImportDeclaration, so that it can be sorted like one.
+ * It imports the whole module, like a namespace import.
+ *
+ * import myModule = require("my-module.js") --> all
+ * export import myModule = require("my-module.js") --> all
+ * import type myModule = require("my-module.js") --> all, type import
+ *
+ * Newer parsers wrap `export import` in an ExportNamedDeclaration, older ones mark the declaration with `isExport`.
+ *
+ * @param {ASTNode} statement - the TSImportEqualsDeclaration node, or the ExportNamedDeclaration node wrapping it.
+ * @returns {?Object} the declaration, or null if the statement is no import equals declaration requiring a module.
+ */
+function getImportEqualsDeclaration(statement) {
+    const node = statement.type === "ExportNamedDeclaration" ? statement.declaration : statement;
+    if (!node || node.type !== "TSImportEqualsDeclaration") {
+        return null;
+    }
+    const reference = node.moduleReference;
+    if (reference.type !== "TSExternalModuleReference" || reference.expression.type !== "Literal" || typeof reference.expression.value !== "string") {
+        return null;
+    }
+    return {
+        type: node.type,
+        range: statement.range,
+        loc: statement.loc,
+        source: reference.expression,
+        specifiers: [{ type: "ImportNamespaceSpecifier", local: node.id, range: node.id.range, loc: node.id.loc }],
+        importKind: node.importKind || "value"
+    };
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+const messages = {
+    hoistImport: "Expected imports before all other statements.",
+    duplicateImport: "'{{source}}' is already imported.",
+    sideEffectOrder: "Expected side-effect imports before all other imports.",
+    groupOrder: "Expected '{{groupA}}' imports before '{{groupB}}' imports.",
+    typeOrder: "Expected type imports '{{typeSortStrategy}}' all other imports.",
+    attributesOrder: "Expected imports with attributes '{{attributesSortStrategy}}' all other imports.",
+    syntaxOrder: "Expected '{{syntaxA}}' syntax before '{{syntaxB}}' syntax.",
+    sortImports: "Imports should be sorted alphabetically.",
+    missingBlankLine: "Expected a blank line between import groups.",
+    blankLineInGroup: "Unexpected blank line within an import group.",
+    unexpectedBlankLine: "Unexpected blank line between imports.",
+    memberTypeOrder: "Expected type members '{{memberTypeSortStrategy}}' all other members.",
+    memberGroupOrder: "Expected '{{groupA}}' members before '{{groupB}}' members.",
+    sortMembers: "Member '{{memberName}}' of the import declaration should be sorted alphabetically.",
+    hoistAcrossBarrier: "Move this import to the top (evaluation order may change)."
+};
+
+/**
+ * Checks the order of the import declarations of a file.
+ * @param {SourceCode} sourceCode - the source code of the file.
+ * @param {Object} configuration - the options of the sort-imports-es6 rule.
+ * @returns {Object[]} the problems found, as descriptors for `context.report`.
+ */
+function checkImports(sourceCode, configuration) {
+    const ignoreCase = configuration.ignoreCase || false,
+        ignoreMemberSort = configuration.ignoreMemberSort || false,
+        memberSyntaxSortOrder = configuration.memberSyntaxSortOrder || ["none", "all", "multiple", "single"],
+        typeSortStrategy = configuration.typeSortStrategy || "after",
+        attributesSortStrategy = configuration.attributesSortStrategy || "mixed",
+        sortBy = configuration.sortBy || "localName",
+        groups = (configuration.groups || []).map(group => (typeof group === "string"
+            ? { name: group }
+            : { name: group.name || group.pattern, pattern: new RegExp(group.pattern) })),
+        newlinesBetween = configuration.newlinesBetween || "ignore",
+        collator = configuration.collation ? new Intl.Collator(configuration.collation.locale, {
+            numeric: configuration.collation.numeric,
+            sensitivity: configuration.collation.sensitivity,
+            caseFirst: configuration.collation.caseFirst
+        }) : null,
+        sideEffectImports = configuration.sideEffectImports || "sort",
+        memberTypeSortStrategy = configuration.memberTypeSortStrategy || "mixed",
+        memberSortKey = configuration.memberSortKey || "local",
+        memberGroups = (configuration.memberGroups || []).map(group => (typeof group === "string"
+            ? { name: group, pattern: MEMBER_CASE_PATTERNS[group] }
+            : { name: group.name || group.pattern, pattern: new RegExp(group.pattern) })),
+        mergeDuplicates = configuration.mergeDuplicates || false,
+        inlineTypeSpecifiers = Boolean(configuration.memberTypeSortStrategy),
+        hoistImports = configuration.hoistImports || false,
+        commonjs = configuration.commonjs || false,
+        memberFormatting = configuration.memberFormatting || {},
+        memberLayout = memberFormatting.layout || "preserve",
+        maxLineLength = memberFormatting.maxLineLength || Infinity,
+        trailingComma = memberFormatting.trailingComma || "preserve",
+        sortedSections = new Map(),
+        duplicateDeclarations = new Map(),
+        problems = [],
+        initialSource = sourceCode.getText();
+
+    /**
+     * Gets the used member syntax style.
+     *
+     * import "my-module.js" --> none
+     * import * as myModule from "my-module.js" --> all
+     * import {myMember} from "my-module.js" --> single
+     * import {foo, bar} from  "my-module.js" --> multiple
+     *
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {string} used member parameter style, ["all", "multiple", "single"]
+     */
+    function usedMemberSyntax(node) {
+        if (node.specifiers.length === 0) {
+            return "none";
+        } else if (node.specifiers[0].type === "ImportNamespaceSpecifier") {
+            return "all";
+        } else if (node.specifiers[0].type === "ImportDefaultSpecifier") {
+            return "single";
+        }
+        return "multiple";
+    }
+
+    /**
+     * Gets if the declaration only imports a module for its side effects.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {boolean} if the declaration has no specifiers.
+     */
+    function isSideEffectImport(node) {
+        return node.specifiers.length === 0;
+    }
+
+    /**
+     * Gets if an import specifier is a named import, or a destructured property of a required module.
+     * @param {ASTNode} specifier - the specifier.
+     * @returns {boolean} if the specifier is sorted as a member.
+     */
+    function isNamedSpecifier(specifier) {
+        return specifier.type === "ImportSpecifier" || specifier.type === "Property";
+    }
+
+    /**
+     * Gets if an import specifier only imports a type, like `Foo` in `import { type Foo } from "my-module.js"`.
+     * @param {ASTNode} specifier - the ImportSpecifier node.
+     * @returns {boolean} if the specifier is an inline type import.
+     */
+    function isTypeSpecifier(specifier) {
+        return specifier.importKind === "type";
+    }
+
+    /**
+     * Gets if the declaration only imports types, either with `import type` or with inline `type` on every specifier.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {boolean} if the declaration is a type import.
+     */
+    function isTypeImport(node) {
+        return node.importKind === "type" ||
+            (node.specifiers.length > 0 && node.specifiers.every(specifier => specifier.type === "ImportSpecifier" && isTypeSpecifier(specifier)));
+    }
+
+    /**
+     * Gets the import attributes of a declaration, like `type: "json"` in `import data from "./data.json" with { type: "json" }`.
+     * Parsers that do not support the `with` keyword yet call them assertions and parse the older `assert` keyword instead.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {ASTNode[]} the ImportAttribute nodes.
+     */
+    function getImportAttributes(node) {
+        return node.attributes || node.assertions || [];
+    }
+
+    /**
+     * Gets a key of the import attributes of a declaration, which is the same for declarations with the same attributes.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {string} the attribute keys and values, sorted by key.
+     */
+    function getImportAttributesKey(node) {
+        return getImportAttributes(node)
+            .map(attribute => `${attribute.key.type === "Literal" ? attribute.key.value : attribute.key.name}=${attribute.value.value}`)
+            .sort()
+            .join(",");
+    }
+
+    /**
+     * Gets if the declaration has import attributes.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {boolean} if the declaration has import attributes.
+     */
+    function hasImportAttributes(node) {
+        return getImportAttributes(node).length > 0;
+    }
+
+    /**
+     * Gets the group by member parameter index for given declaration.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {number} the declaration group by member index.
+     */
+    function getMemberParameterGroupIndex(node) {
+        return memberSyntaxSortOrder.indexOf(usedMemberSyntax(node));
+    }
+
+    /**
+     * Gets the index of the configured group the declaration belongs to.
+     * Custom pattern groups take precedence over module kinds, declarations matching no group come last.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {number} the declaration group index.
+     */
+    function getGroupIndex(node) {
+        if (!groups.length) {
+            return 0;
+        }
+        const source = node.source.value,
+            patternGroupIndex = groups.findIndex(group => group.pattern && group.pattern.test(source));
+        if (patternGroupIndex !== -1) {
+            return patternGroupIndex;
+        }
+        const moduleKind = getModuleKind(source),
+            kindGroupIndex = groups.findIndex(group => !group.pattern && group.name === moduleKind);
+        return kindGroupIndex === -1 ? groups.length : kindGroupIndex;
+    }
+
+    /**
+     * Gets the name of the group at the given index.
+     * @param {number} index - the group index.
+     * @returns {string} the group name.
+     */
+    function getGroupName(index) {
+        return index < groups.length ? groups[index].name : "other";
+    }
+
+    /**
+     * Gets the local name of the first imported module.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {?string} the local name of the first imported module.
+     */
+    function getFirstLocalMemberName(node) {
+        if (node.specifiers.length) {
+            return node.specifiers[0].local.name;
+        } else {
+            return node.source.value;
+        }
+        return null;
+    }
+
+    /**
+     * Compares two names by UTF-16 code units.
+     * @param {string} a - the name expected first.
+     * @param {string} b - the name expected second.
+     * @returns {number} 1 if b should come before a, -1 if a should come first, 0 if they are identical.
+     */
+    function compareRaw(a, b) {
+        return a > b ? 1 : a < b ? -1 : 0;
+    }
+
+    /**
+     * Compares two names with the configured collation, or by UTF-16 code units without one.
+     * @param {string} a - the name expected first.
+     * @param {string} b - the name expected second.
+     * @returns {number} a positive number if b should come before a, a negative number if a should come first, 0 if they are equal.
+     */
+    function compareNames(a, b) {
+        return collator ? collator.compare(a, b) : compareRaw(a, b);
+    }
+
+    /**
+     * Gets the name of an import specifier configured with memberSortKey.
+     * @param {ASTNode} specifier - the ImportSpecifier node.
+     * @returns {string} the local or the imported name.
+     */
+    function getMemberName(specifier) {
+        return memberSortKey === "imported" ? getImportedName(specifier) : specifier.local.name;
+    }
+
+    /**
+     * Gets the name of an import specifier used for member sorting.
+     * @param {ASTNode} specifier - the ImportSpecifier node.
+     * @returns {string} the name to compare, lowercased when ignoreCase is set.
+     */
+    function getSortableMemberName(specifier) {
+        return ignoreCase ? getMemberName(specifier).toLowerCase() : getMemberName(specifier);
+    }
+
+    /**
+     * Gets the index of the configured member group an import specifier belongs to.
+     * Groups are tried in the configured order, specifiers matching no group come last.
+     * @param {ASTNode} specifier - the ImportSpecifier node.
+     * @returns {number} the member group index.
+     */
+    function getMemberGroupIndex(specifier) {
+        if (!memberGroups.length) {
+            return 0;
+        }
+        const name = getMemberName(specifier),
+            index = memberGroups.findIndex(group => group.pattern.test(name));
+        return index === -1 ? memberGroups.length : index;
+    }
+
+    /**
+     * Gets the name of the member group at the given index.
+     * @param {number} index - the member group index.
+     * @returns {string} the member group name.
+     */
+    function getMemberGroupName(index) {
+        return index < memberGroups.length ? memberGroups[index].name : "other";
+    }
+
+    /**
+     * Gets if two import specifiers are out of order because of memberTypeSortStrategy.
+     * @param {ASTNode} specifierA - the ImportSpecifier node expected first.
+     * @param {ASTNode} specifierB - the ImportSpecifier node expected second.
+     * @returns {boolean} if specifierB should come before specifierA because of its type-ness.
+     */
+    function isMemberTypeMisplaced(specifierA, specifierB) {
+        return (memberTypeSortStrategy === "before" && !isTypeSpecifier(specifierA) && isTypeSpecifier(specifierB)) ||
+            (memberTypeSortStrategy === "after" && isTypeSpecifier(specifierA) && !isTypeSpecifier(specifierB));
+    }
+
+    /**
+     * Compares two import specifiers by type-ness, member group and name.
+     * @param {ASTNode} specifierA - the ImportSpecifier node expected first.
+     * @param {ASTNode} specifierB - the ImportSpecifier node expected second.
+     * @returns {number} a positive number if specifierB should come before specifierA, a negative number if specifierA should come first, 0 if they are equal.
+     */
+    function compareMemberOrder(specifierA, specifierB) {
+        if (memberTypeSortStrategy !== "mixed" && isTypeSpecifier(specifierA) !== isTypeSpecifier(specifierB)) {
+            return isMemberTypeMisplaced(specifierA, specifierB) ? 1 : -1;
+        }
+        const groupDifference = getMemberGroupIndex(specifierA) - getMemberGroupIndex(specifierB);
+        if (groupDifference) {
+            return groupDifference;
+        }
+        return compareNames(getSortableMemberName(specifierA), getSortableMemberName(specifierB));
+    }
+
+    /**
+     * Compares two import specifiers, falling back to their exact names for a deterministic order.
+     * @param {ASTNode} specifierA - the ImportSpecifier node expected first.
+     * @param {ASTNode} specifierB - the ImportSpecifier node expected second.
+     * @returns {number} a positive number if specifierB should come before specifierA, otherwise 0 or a negative number.
+     */
+    function compareMembers(specifierA, specifierB) {
+        return compareMemberOrder(specifierA, specifierB) ||
+            compareRaw(getMemberName(specifierA), getMemberName(specifierB)) ||
+            compareRaw(specifierA.local.name, specifierB.local.name);
+    }
+
+    /**
+     * Gets the index of the first import specifier that is not sorted.
+     * Specifiers whose names only differ in a way the configured comparison ignores are considered sorted.
+     * @param {ASTNode[]} importSpecifiers - the ImportSpecifier nodes of a declaration.
+     * @returns {number} the index of the first unsorted specifier, -1 if all are sorted.
+     */
+    function findFirstUnsortedMemberIndex(importSpecifiers) {
+        return importSpecifiers.findIndex((specifier, index) => index > 0 && compareMemberOrder(importSpecifiers[index - 1], specifier) > 0);
+    }
+
+    /**
+     * Gets the names a declaration is ordered by, most significant first.
+     *
+     * localName --> local name of the first imported member
+     * source --> module source path
+     * sourceThenLocal --> module source path, then local name of the first imported member
+     *
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {string[]} the names to compare, lowercased when ignoreCase is set.
+     */
+    function getDeclarationSortNames(node) {
+        let names;
+        if (sortBy === "source") {
+            names = [node.source.value];
+        } else if (sortBy === "sourceThenLocal") {
+            names = [node.source.value, getFirstLocalMemberName(node)];
+        } else {
+            names = [getFirstLocalMemberName(node)];
+        }
+        return ignoreCase ? names.map(name => name && name.toLowerCase()) : names;
+    }
+
+    /**
+     * Compares two declarations by the names configured with sortBy, and by their import attributes if they import the same module.
+     * @param {ASTNode} previousNode - the ImportDeclaration node expected first.
+     * @param {ASTNode} currentNode - the ImportDeclaration node expected second.
+     * @returns {number} a positive number if currentNode should come before previousNode, a negative number if previousNode should come first, 0 if they are equal.
+     */
+    function compareDeclarationNames(previousNode, currentNode) {
+        const previousNames = getDeclarationSortNames(previousNode),
+            currentNames = getDeclarationSortNames(currentNode);
+        for (let i = 0; i < previousNames.length; i++) {
+            const result = previousNames[i] && currentNames[i] ? compareNames(previousNames[i], currentNames[i]) : 0;
+            if (result !== 0) {
+                return result;
+            }
+        }
+        if (previousNode.source.value === currentNode.source.value) {
+            return compareRaw(getImportAttributesKey(previousNode), getImportAttributesKey(currentNode));
+        }
+        return 0;
+    }
+
+    /**
+     * Compares two declarations by group, type, import attributes, member syntax and names.
+     * @param {ASTNode} previousNode - the ImportDeclaration node expected first.
+     * @param {ASTNode} currentNode - the ImportDeclaration node expected second.
+     * @returns {number} a positive number if currentNode should come before previousNode, a negative number if previousNode should come first, 0 if they are equal.
+     */
+    function compareDeclarations(previousNode, currentNode) {
+        if (sideEffectImports === "pinTop" && (isSideEffectImport(previousNode) || isSideEffectImport(currentNode))) {
+
+            // Side-effect imports come first and are never reordered among themselves.
+            if (isSideEffectImport(previousNode) === isSideEffectImport(currentNode)) {
+                return 0;
+            }
+            return isSideEffectImport(currentNode) ? 1 : -1;
+        }
+        const currentGroupIndex = getGroupIndex(currentNode),
+            previousGroupIndex = getGroupIndex(previousNode),
+            currentMemberSyntaxGroupIndex = getMemberParameterGroupIndex(currentNode),
+            currentMemberIsType = isTypeImport(currentNode),
+            previousMemberSyntaxGroupIndex = getMemberParameterGroupIndex(previousNode),
+            previousMemberIsType = isTypeImport(previousNode);
+        if (currentGroupIndex !== previousGroupIndex) {
+            return (currentGroupIndex < previousGroupIndex) ? 1 : -1;
+        } if (typeSortStrategy !== "mixed" && currentMemberIsType !== previousMemberIsType) {
+            return ((currentMemberIsType && typeSortStrategy === "before") || (previousMemberIsType && typeSortStrategy === "after")) ? 1 : -1;
+        } if (attributesSortStrategy !== "mixed" && hasImportAttributes(currentNode) !== hasImportAttributes(previousNode)) {
+            return hasImportAttributes(currentNode) === (attributesSortStrategy === "before") ? 1 : -1;
+        } if (currentMemberSyntaxGroupIndex !== previousMemberSyntaxGroupIndex) {
+            return (currentMemberSyntaxGroupIndex < previousMemberSyntaxGroupIndex) ? 1 : -1;
+        }
+
+        return compareDeclarationNames(previousNode, currentNode);
+    }
+
+    /**
+     * Compares two declarations like compareDeclarations, breaking ties by their exact names, source and text,
+     * so that the fixed order does not depend on the original order.
+     * @param {ASTNode} previousNode - the ImportDeclaration node expected first.
+     * @param {ASTNode} currentNode - the ImportDeclaration node expected second.
+     * @returns {number} a positive number if currentNode should come before previousNode, otherwise 0 or a negative number.
+     */
+    function compareDeclarationsStable(previousNode, currentNode) {
+        if (sideEffectImports === "pinTop" && isSideEffectImport(previousNode) && isSideEffectImport(currentNode)) {
+
+            // Side-effect imports keep their original order.
+            return previousNode.range[0] - currentNode.range[0];
+        }
+        return compareDeclarations(previousNode, currentNode) ||
+            compareRaw(getFirstLocalMemberName(previousNode), getFirstLocalMemberName(currentNode)) ||
+            compareRaw(previousNode.source.value, currentNode.source.value) ||
+            compareRaw(sourceCode.getText(previousNode), sourceCode.getText(currentNode));
+    }
+
+    /**
+     * Gets if there are lines (empty or comments) between two nodes
+     * @param {ASTNode} firstNode - the ImportDeclaration node.
+     * @param {ASTNode} secondNode - the ImportDeclaration node.
+     * @returns {boolean} if there are lines between the nodes.
+     */
+    function isLineBetween(firstNode, secondNode) {
+        return firstNode.loc.end.line < secondNode.loc.start.line - 1;
+    }
+
+    /**
+     * Gets if two nodes belong to different sections, which are sorted independently.
+     * Unless newlinesBetween is ignored, blank lines are managed by the rule and only comments or code separate sections.
+     * Anything but whitespace between the nodes and their attached comments, even on the same line, always separates them,
+     * so fixes that merge or reorder the declarations of a section only ever drop or move whitespace.
+     * Side-effect imports are sections of their own when they are barriers.
+     * @param {ASTNode} firstNode - the ImportDeclaration node.
+     * @param {ASTNode} secondNode - the ImportDeclaration node.
+     * @returns {boolean} if the nodes belong to different sections.
+     */
+    function isSectionBoundary(firstNode, secondNode) {
+        if (sideEffectImports === "barrier" && (isSideEffectImport(firstNode) || isSideEffectImport(secondNode))) {
+            return true;
+        }
+        if (/\S/.test(sourceCode.text.slice(getAttachedRange(firstNode)[1], getAttachedRange(secondNode)[0]))) {
+            return true;
+        }
+        if (newlinesBetween === "ignore") {
+            return isLineBetween(firstNode, secondNode);
+        }
+        for (let line = firstNode.loc.end.line + 1; line < secondNode.loc.start.line; line++) {
+            if (sourceCode.lines[line - 1].trim() !== "") {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Gets the key of the group a declaration belongs to for newlinesBetween,
+     * made up of its source group, whether it is a type import, whether it has import attributes and its member syntax.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {string} the group key.
+     */
+    function getNewlineGroupKey(node) {
+        if (sideEffectImports === "pinTop" && isSideEffectImport(node)) {
+            return "side-effect";
+        }
+        const isType = typeSortStrategy !== "mixed" && isTypeImport(node),
+            hasAttributes = attributesSortStrategy !== "mixed" && hasImportAttributes(node);
+        return `${getGroupIndex(node)}:${isType}:${hasAttributes}:${getMemberParameterGroupIndex(node)}`;
+    }
+
+    /**
+     * Gets if a blank line is expected between two consecutive declarations of the same section.
+     * @param {ASTNode} firstNode - the ImportDeclaration node.
+     * @param {ASTNode} secondNode - the ImportDeclaration node.
+     * @returns {boolean} if a blank line is expected.
+     */
+    function isBlankLineExpected(firstNode, secondNode) {
+        return newlinesBetween === "always" && getNewlineGroupKey(firstNode) !== getNewlineGroupKey(secondNode);
+    }
+
+    /**
+     * Rewrites the line breaks between two declarations to leave exactly one blank line or none.
+     * Only the run of line breaks is rewritten, anything else between the declarations is kept.
+     * @param {string} between - the text between the declarations.
+     * @param {boolean} blankLine - if a blank line is expected.
+     * @returns {string} the fixed text.
+     */
+    function fixBlankLines(between, blankLine) {
+        const linebreak = between.indexOf("\r\n") === -1 ? "\n" : "\r\n",
+            linebreaks = blankLine ? linebreak + linebreak : linebreak,
+            run = /(?:[^\S\r\n]*\r?\n)+/.exec(between);
+
+        if (run) {
+            return `${between.slice(0, run.index)}${linebreaks}${between.slice(run.index + run[0].length)}`;
+        }
+        return blankLine ? `${linebreaks}${between.replace(/^[^\S\r\n]*/, "")}` : between;
+    }
+
+    /**
+     * Gets the range of a declaration including its attached comments, which move together with it:
+     * comments on the lines directly above it and comments after it on the same line.
+     * Comments at the start of the file are never attached, as they are usually file headers or pragmas like `// @flow`.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {number[]} the start and end index of the declaration and its attached comments.
+     */
+    function getAttachedRange(node) {
+        const leadingComments = sourceCode.getCommentsBefore(node),
+            trailingComments = sourceCode.getCommentsAfter(node).filter(comment => comment.loc.start.line === node.loc.end.line);
+        let start = node.range[0],
+            startLine = node.loc.start.line;
+
+        for (let i = leadingComments.length - 1; i >= 0; i--) {
+            const comment = leadingComments[i],
+                tokenBefore = sourceCode.getTokenBefore(comment);
+
+            if (comment.loc.end.line < startLine - 1 || !tokenBefore || tokenBefore.loc.end.line === comment.loc.start.line) {
+                break;
+            }
+            start = comment.range[0];
+            startLine = comment.loc.start.line;
+        }
+
+        return [start, trailingComments.length ? trailingComments[trailingComments.length - 1].range[1] : node.range[1]];
+    }
+
+    /**
+     * Gets a scope whose imports are sorted independently of other scopes: the program or the block of a TypeScript module.
+     * @param {ASTNode[]} body - the statements of the scope.
+     * @returns {Object} the scope with its statements, its declarations and the index of its first statement that is no import.
+     */
+    function getScope(body) {
+        const declarations = body.map(n => {
+            if (n.type === 'ImportDeclaration') {
+                return n;
+            }
+            return getImportEqualsDeclaration(n) || (commonjs && getRequireDeclaration(n));
+        });
+        return {
+            body,
+            declarations: declarations.filter(Boolean),
+            firstStatementIndex: body.findIndex((n, i) => !declarations[i] && !n.directive)
+        };
+    }
+
+    /**
+     * Gets if an import declaration comes after other statements than imports and directives.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @param {Object} scope - the scope of the declaration.
+     * @returns {boolean} if the declaration is placed after other statements.
+     */
+    function isAfterStatements(node, scope) {
+        return scope.firstStatementIndex !== -1 && scope.body.indexOf(node) > scope.firstStatementIndex;
+    }
+
+    /**
+     * Gets if a statement must not be crossed when hoisting an import: a "use strict" statement outside
+     * of the directive prologue or a side-effect import that is a barrier.
+     * @param {ASTNode} node - the statement.
+     * @returns {boolean} if the statement is a barrier for hoisting.
+     */
+    function isHoistBarrier(node) {
+        if (node.type === "ImportDeclaration") {
+            return sideEffectImports === "barrier" && isSideEffectImport(node);
+        }
+        return node.type === "ExpressionStatement" && node.expression.type === "Literal" && node.expression.value === "use strict";
+    }
+
+    /**
+     * Gets if hoisting an import declaration would move it across a barrier.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @param {Object} scope - the scope of the declaration.
+     * @returns {boolean} if the import would be hoisted across a barrier.
+     */
+    function isHoistBlocked(node, scope) {
+        return scope.body.slice(scope.firstStatementIndex, scope.body.indexOf(node) + 1).some(isHoistBarrier);
+    }
+
+    /**
+     * Gets the text before a position on its line, if it is only whitespace.
+     * @param {number} index - the position.
+     * @returns {string} the indentation, or an empty string if there is something else in front of the position.
+     */
+    function getIndentation(index) {
+        const text = sourceCode.getText(),
+            indentation = text.slice(text.lastIndexOf("\n", index - 1) + 1, index);
+        return /^\s*$/.test(indentation) ? indentation : "";
+    }
+
+    /**
+     * Moves an import declaration that comes after other statements to the end of the top import block of its scope,
+     * or before the first statement if there is no top import block.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @param {Object} scope - the scope of the declaration.
+     * @param {RuleFixer} fixer - the fixer.
+     * @returns {Fix[]} the fixes.
+     */
+    function hoistDeclaration(node, scope, fixer) {
+        const text = sourceCode.getText(),
+            range = getAttachedRange(node),
+            indentation = text.slice(text.lastIndexOf("\n", range[0] - 1) + 1, range[0]),
+            lineEnd = /[^\S\n]*(?:\r?\n|$)/y,
+            linebreak = text.indexOf("\r\n") === -1 ? "\n" : "\r\n",
+            lastTopImport = scope.body.slice(0, scope.firstStatementIndex).filter(n => !n.directive).pop();
+        let removeRange = range;
+
+        // Remove the line of the import if nothing else is on it, or the whitespace before it if it ends a line with other code.
+        lineEnd.lastIndex = range[1];
+        if (lineEnd.test(text)) {
+            removeRange = /^\s*$/.test(indentation)
+                ? [range[0] - indentation.length, lineEnd.lastIndex]
+                : [range[0] - /\s*$/.exec(indentation)[0].length, range[1]];
+        }
+
+        if (lastTopImport) {
+            const targetRange = getAttachedRange(lastTopImport);
+            return [
+                fixer.removeRange(removeRange),
+                fixer.insertTextAfterRange(targetRange, `${linebreak}${getIndentation(targetRange[0])}${text.slice(range[0], range[1])}`)
+            ];
+        }
+        const targetRange = getAttachedRange(scope.body[scope.firstStatementIndex]);
+        return [
+            fixer.removeRange(removeRange),
+            fixer.insertTextBeforeRange(targetRange, `${text.slice(range[0], range[1])}${linebreak}${getIndentation(targetRange[0])}`)
+        ];
+    }
+
+    /**
+     * Splits the declarations of a scope into sections, which are sorted independently.
+     * @param {ASTNode[]} declarations - the declarations of the scope.
+     * @returns {ASTNode[][]} the declarations of each section.
+     */
+    function getSections(declarations) {
+        return declarations.reduce((sections, node, i) => {
+            if (i === 0 || isSectionBoundary(declarations[i - 1], node)) {
+                sections.push([node]);
+            } else {
+                sections[sections.length - 1].push(node);
+            }
+            return sections;
+        }, []);
+    }
+
+    /**
+     * Replaces the declarations of a section with their sorted version.
+     * The sorted text is computed once per section and shared by all reports in it.
+     * @param {ASTNode[]} section - the declarations of the section.
+     * @param {RuleFixer} fixer - the fixer.
+     * @returns {Fix} the fix.
+     */
+    function fixSection(section, fixer) {
+        if (!sortedSections.has(section)) {
+            sortedSections.set(section, sortAndFixAllNodes(initialSource, section));
+        }
+        return fixer.replaceTextRange([getAttachedRange(section[0])[0], getAttachedRange(section[section.length - 1])[1]], sortedSections.get(section));
+    }
+
+    /**
+     * Gets if a comment after a token belongs to the token's line, rather than to what comes after it.
+     * That is the case when the comment starts on the line of the token and the next token is on a later line.
+     * @param {Token} comment - the comment.
+     * @param {Token|ASTNode} token - the token before the comment.
+     * @param {Token|ASTNode} nextToken - the token after the comment.
+     * @returns {boolean} if the comment trails the token.
+     */
+    function isTrailingComment(comment, token, nextToken) {
+        return comment.loc.start.line === token.loc.end.line && nextToken.loc.start.line > comment.loc.end.line;
+    }
+
+    /**
+     * Splits a list of import specifiers into chunks that move together when the specifiers are sorted.
+     * A chunk is made up of a specifier, the comments above or in front of it, the comments between it and
+     * its comma, and the comments after its comma on the same line.
+     * @param {string} initial - the source text.
+     * @param {ASTNode[]} importSpecifiers - the ImportSpecifier nodes of a declaration.
+     * @returns {Object[]} the chunks with their range, their parts and if they are followed by a comma.
+     */
+    function getMemberChunks(initial, importSpecifiers) {
+        return importSpecifiers.map(specifier => {
+            const tokenBefore = sourceCode.getTokenBefore(specifier),
+                tokenAfter = sourceCode.getTokenAfter(specifier),
+                hasComma = tokenAfter.type === "Punctuator" && tokenAfter.value === ",",
+                anchor = hasComma ? tokenAfter : specifier,
+                nextToken = sourceCode.getTokenAfter(anchor),
+                leadingComments = sourceCode.getCommentsBefore(specifier).filter(comment => !isTrailingComment(comment, tokenBefore, specifier)),
+                trailingComments = sourceCode.getCommentsAfter(anchor).filter(comment => isTrailingComment(comment, anchor, nextToken)),
+                start = leadingComments.length ? leadingComments[0].range[0] : specifier.range[0],
+                lastTrailingComment = trailingComments[trailingComments.length - 1];
+
+            return {
+                specifier,
+                hasComma,
+                start,
+                end: lastTrailingComment ? lastTrailingComment.range[1] : anchor.range[1],
+                leading: initial.slice(start, specifier.range[0]),
+                text: initial.slice(specifier.range[0], specifier.range[1]),
+                beforeComma: hasComma ? initial.slice(specifier.range[1], tokenAfter.range[0]) : '',
+                trailing: lastTrailingComment ? initial.slice(anchor.range[1], lastTrailingComment.range[1]) : '',
+                endsWithLineComment: Boolean(lastTrailingComment) && lastTrailingComment.type === "Line"
+            };
+        });
+    }
+
+    /**
+     * Gets the indentation of a line.
+     * @param {number} line - the 1-based line number.
+     * @returns {string} the whitespace at the start of the line.
+     */
+    function getLineIndentation(line) {
+        return /^\s*/.exec(sourceCode.lines[line - 1])[0];
+    }
+
+    /**
+     * Gets if a trailing comma goes after the last member, as set by the trailingComma option of memberFormatting.
+     * @param {boolean} multiline - if the closing brace is on another line than the last member.
+     * @param {boolean} hasComma - if the last member was followed by a comma.
+     * @returns {boolean} if the last member is followed by a comma.
+     */
+    function hasTrailingComma(multiline, hasComma) {
+        if (trailingComma === "preserve") {
+            return hasComma;
+        }
+        return trailingComma === "always" || (trailingComma === "always-multiline" && multiline);
+    }
+
+    /**
+     * Lays out sorted members inside their braces as set by the memberFormatting option.
+     * Members go on their own lines when the layout is onePerLine or when a single line would be longer than maxLineLength.
+     *
+     * @param {string[]} members - the texts of the sorted members.
+     * @param {Object} layout - the text in front of the opening brace on its line as `start`, the text after the closing brace
+     *     on its line as `end`, the indentation of the declaration as `indentation` and of members on their own lines as `memberIndentation`,
+     *     the padding inside braces on a single line as `padding`, if the last member was followed by a comma as `hasComma`
+     *     and if the members spanned multiple lines as `multiline`, null for members that had no layout before.
+     * @returns {string|null} the text of the braces, null if the original layout is kept.
+     */
+    function formatMembers(members, layout) {
+        const singleLine = text => `{${layout.padding}${text}${hasTrailingComma(false, layout.hasComma) ? "," : ""}${layout.padding}}`,
+            tooLong = layout.start.length + singleLine(members.join(", ")).length + layout.end.length > maxLineLength;
+
+        if (memberLayout === "onePerLine" || (tooLong && (memberLayout === "singleLine" || !layout.multiline))) {
+            const lines = members.map(member => `${layout.memberIndentation}${member}`).join(",\n");
+            return `{\n${lines}${hasTrailingComma(true, layout.hasComma) ? "," : ""}\n${layout.indentation}}`;
+        }
+        if (memberLayout === "preserve" && layout.multiline !== null) {
+            return null;
+        }
+        return singleLine(members.join(", "));
+    }
+
+    /**
+     * Gets the kind of a declaration: value, type or typeof.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {string} the import kind.
+     */
+    function getImportKind(node) {
+        return node.importKind || "value";
+    }
+
+    /**
+     * Gets if declarations of the given kinds can be merged. Declarations of the same kind can always be merged,
+     * type imports only go together with value imports as inline type specifiers, which requires named imports.
+     * @param {ASTNode[]} nodes - the ImportDeclaration nodes.
+     * @returns {boolean} if the kinds of the declarations can be merged.
+     */
+    function canMergeKinds(nodes) {
+        const kinds = nodes.map(getImportKind).filter((kind, index, array) => array.indexOf(kind) === index);
+        if (kinds.length === 1) {
+            return true;
+        }
+        return inlineTypeSpecifiers && kinds.length === 2 && kinds.indexOf("value") !== -1 && kinds.indexOf("type") !== -1 &&
+            nodes.every(node => getImportKind(node) === "value" || node.specifiers.every(specifier => specifier.type === "ImportSpecifier"));
+    }
+
+    /**
+     * Gets if a declaration can be merged into a group of declarations importing the same module.
+     * Only one default and one namespace import fit into a declaration, a namespace import never goes together
+     * with named imports, type imports only go together with value imports as inline type specifiers
+     * and declarations need the same import attributes.
+     * A merged `import type` holds only one kind of binding, as TypeScript rejects `import type A, { B }`.
+     * Declarations with comments are never merged, as their comments would get lost, and required modules are never merged.
+     * @param {ASTNode[]} group - the ImportDeclaration nodes merged so far.
+     * @param {ASTNode} node - the ImportDeclaration node.
+     * @returns {boolean} if the declaration can be merged into the group.
+     */
+    function canMergeDeclaration(group, node) {
+        const nodes = group.concat(node),
+            specifiers = nodes.reduce((all, current) => all.concat(current.specifiers), []),
+            countSpecifiers = type => specifiers.filter(specifier => specifier.type === type).length;
+
+        if (group[0].type !== "ImportDeclaration" || node.type !== "ImportDeclaration") {
+            return false;
+        }
+        if (group[0].source.value !== node.source.value || getImportAttributesKey(group[0]) !== getImportAttributesKey(node) ||
+            isSideEffectImport(group[0]) || isSideEffectImport(node) || !canMergeKinds(nodes)) {
+            return false;
+        }
+        if (countSpecifiers("ImportDefaultSpecifier") > 1 || countSpecifiers("ImportNamespaceSpecifier") > 1 ||
+            (countSpecifiers("ImportNamespaceSpecifier") && countSpecifiers("ImportSpecifier"))) {
+            return false;
+        }
+        if (nodes.every(current => getImportKind(current) === "type") &&
+            ["ImportDefaultSpecifier", "ImportNamespaceSpecifier", "ImportSpecifier"].filter(countSpecifiers).length > 1) {
+            return false;
+        }
+        return nodes.every(current => sourceCode.getCommentsInside(current).length === 0) &&
+            getAttachedRange(node)[0] === node.range[0] && getAttachedRange(node)[1] === node.range[1];
+    }
+
+    /**
+     * Groups the declarations of a section that can be merged, keeping each group at its first declaration.
+     * @param {ASTNode[]} nodes - the ImportDeclaration nodes of a section.
+     * @returns {ASTNode[][]} the groups of declarations, each group to be merged into one declaration.
+     */
+    function groupDuplicateDeclarations(nodes) {
+        const groupsBySource = new Map();
+        return nodes.reduce((groups, node) => {
+            const sourceGroups = groupsBySource.get(node.source.value) || [],
+                group = sourceGroups.find(current => canMergeDeclaration(current, node));
+            if (group) {
+                group.push(node);
+            } else {
+                groups.push([node]);
+                groupsBySource.set(node.source.value, sourceGroups.concat([groups[groups.length - 1]]));
+            }
+            return groups;
+        }, []);
+    }
+
+    /**
+     * Gets the declarations of a section that are merged into an earlier declaration of the section.
+     * They are computed once per section and shared by all declarations in it.
+     * @param {ASTNode[]} section - the declarations of the section.
+     * @returns {Set<ASTNode>} the declarations that duplicate an earlier one.
+     */
+    function getDuplicateDeclarations(section) {
+        if (!duplicateDeclarations.has(section)) {
+            duplicateDeclarations.set(section, new Set(groupDuplicateDeclarations(section).reduce((all, group) => all.concat(group.slice(1)), [])));
+        }
+        return duplicateDeclarations.get(section);
+    }
+
+    /**
+     * Builds a declaration that imports all specifiers of a group of declarations, with sorted named imports.
+     * @param {string} initial - the source text.
+     * @param {ASTNode[]} group - the ImportDeclaration nodes to merge.
+     * @returns {Array} the merged node, standing in for the group when sorting, and its text.
+     */
+    function mergeDeclarations(initial, group) {
+        const first = group[0],
+            kind = group.every(node => getImportKind(node) === getImportKind(first)) ? getImportKind(first) : "value",
+            inlinedSpecifiers = [],
+            specifiers = group.reduce((all, node) => all.concat(node.specifiers.map(specifier => {
+                if (getImportKind(node) === kind) {
+                    return specifier;
+                }
+
+                // Specifiers of `import type` become inline type specifiers.
+                const inlined = Object.assign({}, specifier, { importKind: getImportKind(node) });
+                inlinedSpecifiers.push(inlined);
+                return inlined;
+            })), []),
+            defaultSpecifier = specifiers.find(specifier => specifier.type === "ImportDefaultSpecifier"),
+            namespaceSpecifier = specifiers.find(specifier => specifier.type === "ImportNamespaceSpecifier"),
+            namedSpecifiers = specifiers.filter(specifier => specifier.type === "ImportSpecifier"),
+            sortedSpecifiers = ignoreMemberSort ? namedSpecifiers : namedSpecifiers.slice().sort(compareMembers),
+            firstNamed = group.map(node => node.specifiers.find(specifier => specifier.type === "ImportSpecifier")).find(Boolean),
+            padding = firstNamed && /^\s/.test(initial.slice(sourceCode.getTokenBefore(firstNamed).range[1], firstNamed.range[0])) ? " " : "",
+            getSpecifierText = specifier => `${inlinedSpecifiers.indexOf(specifier) !== -1 ? `${specifier.importKind} ` : ""}${initial.slice(specifier.range[0], specifier.range[1])}`,
+            parts = [];
+
+        if (defaultSpecifier) {
+            parts.push(getSpecifierText(defaultSpecifier));
+        }
+        if (namespaceSpecifier) {
+            parts.push(getSpecifierText(namespaceSpecifier));
+        }
+
+        const lastToken = sourceCode.getLastToken(first),
+            semicolon = lastToken.value === ";" ? ";" : "",
+
+            // The source is followed by the `with` or `assert` clause of the import attributes, if any.
+            sourceText = initial.slice(first.source.range[0], semicolon ? lastToken.range[0] : first.range[1]),
+            start = `import ${kind !== "value" ? `${kind} ` : ""}`,
+            end = ` from ${sourceText}${semicolon}`,
+            range = getAttachedRange(first);
+
+        if (sortedSpecifiers.length) {
+            const indentation = getLineIndentation(first.loc.start.line);
+            parts.push(formatMembers(sortedSpecifiers.map(getSpecifierText), {
+                start: `${indentation}${start}${parts.map(part => `${part}, `).join("")}`,
+                end: `${end}${sourceCode.lines[first.loc.end.line - 1].slice(first.loc.end.column)}`,
+                indentation,
+                memberIndentation: `${indentation}    `,
+                padding,
+                hasComma: false,
+                multiline: null
+            }));
+        }
+
+        const text = `${start}${parts.join(", ")}${end}`;
+
+        return [
+            Object.assign({}, first, { importKind: first.importKind && kind, specifiers: [defaultSpecifier, namespaceSpecifier].filter(Boolean).concat(sortedSpecifiers) }),
+            `${initial.slice(range[0], first.range[0])}${text}${initial.slice(first.range[1], range[1])}`
+        ];
+    }
+
+    /**
+     * Merges the duplicate declarations of a section.
+     * @param {string} initial - the source text.
+     * @param {Array[]} section - the declarations of the section with their texts.
+     * @returns {Array[]} the declarations with their texts, merged declarations replaced by a single one.
+     */
+    function mergeSection(initial, section) {
+        return groupDuplicateDeclarations(section.map(n => n[0]))
+            .map(group => (group.length === 1 ? section.find(n => n[0] === group[0]) : mergeDeclarations(initial, group)));
+    }
+
+    function sortAndFixAllNodes(initial, nodes) {
+      const ranges = nodes.map(getAttachedRange);
+      const rich = nodes.map((node, i) => [node, initial.substring(ranges[i][0], ranges[i][1])]);
+      const betweens = nodes.map((node, i) => i !== (nodes.length - 1) ? initial.substring(ranges[i][1], ranges[i + 1][0]) : null).filter(n => n !== null);
+
+      const fixed = rich.map((n, i) => {
+        const node = n[0];
+        if (!ignoreMemberSort) {
+            const importSpecifiers = node.specifiers.filter(isNamedSpecifier);
+            const firstUnsortedIndex = findFirstUnsortedMemberIndex(importSpecifiers);
+            if (firstUnsortedIndex !== -1) {
+              const chunks = getMemberChunks(initial, importSpecifiers);
+              const lastChunk = chunks[chunks.length - 1];
+              const openingBrace = sourceCode.getTokenBefore(importSpecifiers[0]);
+              const closingBrace = sourceCode.getTokenAfter(lastChunk.hasComma ? sourceCode.getTokenAfter(lastChunk.specifier) : lastChunk.specifier);
+              const multiline = openingBrace.loc.start.line !== closingBrace.loc.end.line;
+              const indentation = getLineIndentation(node.loc.start.line);
+
+              // Members with comments keep their layout, as the comments would get lost or end up in the wrong place.
+              const formatted = sourceCode.commentsExistBetween(openingBrace, closingBrace) ? null : formatMembers(
+                  importSpecifiers.slice().sort(compareMembers).map(specifier => initial.slice(specifier.range[0], specifier.range[1])),
+                  {
+                      start: sourceCode.lines[openingBrace.loc.start.line - 1].slice(0, openingBrace.loc.start.column),
+                      end: sourceCode.lines[closingBrace.loc.end.line - 1].slice(closingBrace.loc.end.column),
+                      indentation,
+                      memberIndentation: multiline && importSpecifiers[0].loc.start.line !== openingBrace.loc.start.line
+                          ? getLineIndentation(importSpecifiers[0].loc.start.line)
+                          : `${indentation}    `,
+                      padding: /^\s/.test(initial.slice(openingBrace.range[1], importSpecifiers[0].range[0])) ? " " : "",
+                      hasComma: lastChunk.hasComma,
+                      multiline
+                  }
+              );
+              if (formatted !== null) {
+                  return [node, `${initial.substring(ranges[i][0], openingBrace.range[0])}${formatted}${initial.substring(closingBrace.range[1], ranges[i][1])}`];
+              }
+
+              const lastHasComma = hasTrailingComma(lastChunk.specifier.loc.end.line !== closingBrace.loc.start.line, lastChunk.hasComma);
+              const before = initial.substring(ranges[i][0], chunks[0].start);
+              const newlineFollows = /[^\S\n]*\n/y;
+              const linebreak = initial.indexOf("\r\n") === -1 ? "\n" : "\r\n";
+              const getTextBeforeOnLine = chunk => initial.slice(initial.lastIndexOf("\n", chunk.start - 1) + 1, chunk.start);
+
+              // Members moved to a new line are indented like the members that start a line, if there are any.
+              const firstMemberLine = chunks.find(chunk => /^[^\S\n]*$/.test(getTextBeforeOnLine(chunk)));
+              const memberIndentation = firstMemberLine ? getTextBeforeOnLine(firstMemberLine) : `${indentation}    `;
+              let after = initial.substring(lastChunk.end, ranges[i][1]);
+
+              const between = chunks
+                  // Clone the chunks array to avoid mutating it
+                  .slice()
+                  // Sort the array into the desired order
+                  .sort((chunkA, chunkB) => compareMembers(chunkA.specifier, chunkB.specifier))
+                  // Build a string out of the sorted chunks, putting them into the places of the originals
+                  .reduce((sourceText, chunk, index) => {
+                      const isLast = index === chunks.length - 1;
+                      const comma = !isLast || lastHasComma ? ',' : '';
+                      let textAfterChunk = isLast ? '' : initial.slice(chunks[index].end, chunks[index + 1].start);
+
+                      // A line comment must stay the last thing on its line, so what follows it moves to a new line.
+                      newlineFollows.lastIndex = chunks[index].end;
+                      if (chunk.endsWithLineComment && !newlineFollows.test(initial)) {
+                          if (isLast) {
+                              textAfterChunk = `${linebreak}${indentation}`;
+                              after = after.replace(/^[^\S\n]*/, '');
+                          } else {
+                              textAfterChunk = `${linebreak}${memberIndentation}${textAfterChunk.replace(/^[^\S\n]*/, '')}`;
+                          }
+                      }
+
+                      return `${sourceText}${chunk.leading}${chunk.text}${chunk.beforeComma}${comma}${chunk.trailing}${textAfterChunk}`;
+                  }, '');
+
+              return [node, `${before}${between}${after}`];
+            }
+        }
+        return n;
+      });
+
+      // Group by ImportDeclarations that are consecutive (no lines inbetween, or only blank lines when newlinesBetween is set)
+      const sections = fixed.reduce((sections, current) => {
+          const lastSection = sections[sections.length - 1];
+          if (lastSection.length === 0) {
+              lastSection.push(current);
+          } else {
+              const lastFixed = lastSection[lastSection.length - 1];
+              if (isSectionBoundary(lastFixed[0], current[0])) {
+                  sections.push([ current ]);
+              } else {
+                  lastSection.push(current);
+              }
+          }
+          return sections;
+      }, [[]])
+
+      // Merge duplicate imports and sort each grouping
+      const sorted = sections.map(section => {
+          const merged = mergeDuplicates ? mergeSection(initial, section) : section.slice();
+          return merged.sort((a, b) => compareDeclarationsStable(a[0], b[0]));
+      });
+
+      // Join the sorted sections, managing the blank lines inside each section unless newlinesBetween is ignored.
+      // Merged sections are shorter than the original ones, so they only use the first of their original betweens.
+      let sectionStart = 0;
+      return sorted.reduce((done, section, sectionIndex) => {
+          const sectionText = section.reduce((text, current, i) => {
+              let between = i !== 0 ? betweens[sectionStart + i - 1] : (sectionStart !== 0 ? betweens[sectionStart - 1] : '');
+              if (i !== 0 && newlinesBetween !== "ignore") {
+                  between = fixBlankLines(between, isBlankLineExpected(section[i - 1][0], current[0]));
+              }
+              return `${text}${between}${current[1]}`;
+          }, done);
+          sectionStart += sections[sectionIndex].length;
+          return sectionText;
+      }, '');
+    }
+
+    /**
+     * Checks the order of an import declaration or required module and its members.
+     * @param {ASTNode} node - the ImportDeclaration node, or the declaration of a required module.
+     * @param {number} index - the index of the declaration in its section.
+     * @param {ASTNode[]} section - the declarations of the section the declaration belongs to.
+     * @param {Object} scope - the scope of the declaration.
+     * @returns {void}
+     */
+    function checkDeclaration(node, index, section, scope) {
+        const previousDeclaration = section[index - 1],
+            fixSortedSection = fixer => fixSection(section, fixer);
+
+        if (hoistImports && isAfterStatements(node, scope)) {
+            const hoistBlocked = isHoistBlocked(node, scope),
+                fixHoist = fixer => hoistDeclaration(node, scope, fixer);
+            problems.push({
+                node,
+                messageId: "hoistImport",
+                fix: hoistBlocked ? null : fixHoist,
+                suggest: hoistBlocked ? [{ messageId: "hoistAcrossBarrier", fix: fixHoist }] : []
+            });
+        }
+
+        // Declarations importing a module that is already imported in the same section should be merged.
+        if (mergeDuplicates && getDuplicateDeclarations(section).has(node)) {
+            problems.push({
+                node,
+                messageId: "duplicateImport",
+                data: { source: node.source.value },
+                fix: fixSortedSection
+            });
+        }
+
+        if (previousDeclaration) {
+            const currentGroupIndex = getGroupIndex(node),
+                previousGroupIndex = getGroupIndex(previousDeclaration),
+                currentMemberSyntaxGroupIndex = getMemberParameterGroupIndex(node),
+                currentMemberIsType = isTypeImport(node),
+                previousMemberSyntaxGroupIndex = getMemberParameterGroupIndex(previousDeclaration),
+                previousMemberIsType = isTypeImport(previousDeclaration);
+
+            // When the current declaration belongs to a different group or uses a different member syntax,
+            // then check if the ordering is correct.
+            // Otherwise, make a default string compare (like rule sort-vars to be consistent) of the names configured with sortBy.
+            if (sideEffectImports === "pinTop" && (isSideEffectImport(node) || isSideEffectImport(previousDeclaration))) {
+                if (isSideEffectImport(node) && !isSideEffectImport(previousDeclaration)) {
+                    problems.push({
+                        node,
+                        messageId: "sideEffectOrder",
+                        fix: fixSortedSection
+                    });
+                }
+            } else if (currentGroupIndex !== previousGroupIndex) {
+                if (currentGroupIndex < previousGroupIndex) {
+                    problems.push({
+                        node: node,
+                        messageId: "groupOrder",
+                        data: {
+                            groupA: getGroupName(currentGroupIndex),
+                            groupB: getGroupName(previousGroupIndex)
+                        },
+                        fix: fixSortedSection
+                    });
+                }
+            } else if (typeSortStrategy !== "mixed" && currentMemberIsType !== previousMemberIsType) {
+                if ((currentMemberIsType && typeSortStrategy === "before") || (previousMemberIsType && typeSortStrategy === "after")) {
+                    problems.push({
+                        node: node,
+                        messageId: "typeOrder",
+                        data: {
+                            typeSortStrategy: typeSortStrategy,
+                        },
+                        fix: fixSortedSection
+                    });
+                }
+            } else if (attributesSortStrategy !== "mixed" && hasImportAttributes(node) !== hasImportAttributes(previousDeclaration)) {
+                if (hasImportAttributes(node) === (attributesSortStrategy === "before")) {
+                    problems.push({
+                        node,
+                        messageId: "attributesOrder",
+                        data: { attributesSortStrategy },
+                        fix: fixSortedSection
+                    });
+                }
+            } else if (currentMemberSyntaxGroupIndex !== previousMemberSyntaxGroupIndex) {
+                if (currentMemberSyntaxGroupIndex < previousMemberSyntaxGroupIndex) {
+                    problems.push({
+                        node: node,
+                        messageId: "syntaxOrder",
+                        data: {
+                            syntaxA: memberSyntaxSortOrder[currentMemberSyntaxGroupIndex],
+                            syntaxB: memberSyntaxSortOrder[previousMemberSyntaxGroupIndex]
+                        },
+                        fix: fixSortedSection
+                    });
+                }
+            } else {
+                if (compareDeclarationNames(previousDeclaration, node) > 0) {
+                    problems.push({
+                        node,
+                        messageId: "sortImports",
+                        fix: fixSortedSection
+                    });
+                }
+            }
+
+            // Once the declarations are in order, check the blank lines between them.
+            if (newlinesBetween !== "ignore" && compareDeclarations(previousDeclaration, node) <= 0) {
+                const blankLineExpected = isBlankLineExpected(previousDeclaration, node),
+                    blankLineFound = isLineBetween(previousDeclaration, node);
+
+                if (blankLineExpected && !blankLineFound) {
+                    problems.push({
+                        node,
+                        messageId: "missingBlankLine",
+                        fix: fixSortedSection
+                    });
+                } else if (!blankLineExpected && blankLineFound) {
+                    problems.push({
+                        node,
+                        messageId: newlinesBetween === "always" ? "blankLineInGroup" : "unexpectedBlankLine",
+                        fix: fixSortedSection
+                    });
+                }
+            }
+        }
+
+        // Multiple members of an import declaration should also be sorted alphabetically.
+
+        if (!ignoreMemberSort) {
+            const importSpecifiers = node.specifiers.filter(isNamedSpecifier);
+            const firstUnsortedIndex = findFirstUnsortedMemberIndex(importSpecifiers);
+
+            if (firstUnsortedIndex !== -1) {
+                const previousSpecifier = importSpecifiers[firstUnsortedIndex - 1],
+                    specifier = importSpecifiers[firstUnsortedIndex],
+                    typeMisplaced = isMemberTypeMisplaced(previousSpecifier, specifier),
+                    previousGroupIndex = getMemberGroupIndex(previousSpecifier),
+                    groupIndex = getMemberGroupIndex(specifier);
+                let messageId = "sortMembers";
+                if (typeMisplaced) {
+                    messageId = "memberTypeOrder";
+                } else if (previousGroupIndex !== groupIndex) {
+                    messageId = "memberGroupOrder";
+                }
+                problems.push({
+                    node: specifier,
+                    messageId,
+                    data: {
+                        memberName: getMemberName(specifier),
+                        memberTypeSortStrategy,
+                        groupA: getMemberGroupName(groupIndex),
+                        groupB: getMemberGroupName(previousGroupIndex)
+                    },
+                    fix: fixSortedSection
+                });
+            }
+        }
+    }
+
+    [sourceCode.ast.body].concat(getModuleBlockBodies(sourceCode.ast.body)).map(getScope).forEach(scope => {
+        getSections(scope.declarations).forEach(section => section.forEach((node, index) => checkDeclaration(node, index, section, scope)));
+    });
+    return problems;
+}
+
+/**
+ * Parses source text into a source code object, like ESLint does with its configured parser.
+ * As in ESLint, the parser does not see the byte order mark and a hashbang line is parsed as a comment.
+ * @param {string} text - the source text.
+ * @param {Object} parserConfig - the parser and its options, espree parsing the latest modules by default.
+ * @returns {SourceCode} the source code object.
+ */
+function parse(text, parserConfig) {
+    const parser = parserConfig.parser || espree,
+        parserOptions = Object.assign({ ecmaVersion: espree.latestEcmaVersion, sourceType: "module" }, parserConfig.parserOptions, {
+            range: true,
+            loc: true,
+            tokens: true,
+            comment: true
+        }),
+        textToParse = text.replace(/^\uFEFF/, "").replace(/^#!([^\r\n]+)/, (match, captured) => `//${captured}`),
+        result = typeof parser.parseForESLint === "function" ? parser.parseForESLint(textToParse, parserOptions) : { ast: parser.parse(textToParse, parserOptions) };
+
+    return new SourceCode({
+        text,
+        ast: result.ast,
+        parserServices: result.services,
+        scopeManager: result.scopeManager,
+        visitorKeys: result.visitorKeys
+    });
+}
+
+/**
+ * Creates a fixer that builds fixes like the one ESLint passes to fix functions.
+ * @returns {Object} the fixer.
+ */
+function createFixer() {
+    return {
+        replaceTextRange: (range, text) => ({ range, text }),
+        removeRange: range => ({ range, text: "" }),
+        insertTextAfterRange: (range, text) => ({ range: [range[1], range[1]], text }),
+        insertTextBeforeRange: (range, text) => ({ range: [range[0], range[0]], text })
+    };
+}
+
+/**
+ * Gets the fix of a problem, merging the fixes of a fix function that returns several into one.
+ * @param {string} text - the source text.
+ * @param {Object} problem - the problem.
+ * @returns {?Object} the fix, or null if the problem cannot be fixed.
+ */
+function getFix(text, problem) {
+    const fix = problem.fix && problem.fix(createFixer());
+    if (!Array.isArray(fix)) {
+        return fix || null;
+    }
+    const fixes = fix.slice().sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]),
+        start = fixes[0].range[0],
+        end = fixes.reduce((last, current) => Math.max(last, current.range[1]), start);
+    let merged = "",
+        lastIndex = start;
+
+    fixes.forEach(current => {
+        merged += text.slice(lastIndex, current.range[0]) + current.text;
+        lastIndex = current.range[1];
+    });
+    return { range: [start, end], text: merged + text.slice(lastIndex, end) };
+}
+
+/**
+ * Applies the fixes that do not overlap with an earlier one, like a single fix pass of ESLint.
+ * @param {string} text - the source text.
+ * @param {Object[]} fixes - the fixes.
+ * @returns {string} the fixed text.
+ */
+function applyFixes(text, fixes) {
+    let output = "",
+        lastIndex = -1;
+
+    fixes.slice().sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]).forEach(fix => {
+        if (fix.range[0] > lastIndex) {
+            output += text.slice(Math.max(lastIndex, 0), fix.range[0]) + fix.text;
+            lastIndex = fix.range[1];
+        }
+    });
+    return output + text.slice(Math.max(lastIndex, 0));
+}
+
+/**
+ * Gets a violation as reported to users of the standalone API.
+ * @param {Object} problem - the problem.
+ * @returns {Object} the violation with its message ID, message, location and if it can be fixed.
+ */
+function getViolation(problem) {
+    const data = problem.data || {};
+    return {
+        messageId: problem.messageId,
+        message: messages[problem.messageId].replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, name) => (name in data ? String(data[name]) : match)),
+        line: problem.node.loc.start.line,
+        column: problem.node.loc.start.column + 1,
+        endLine: problem.node.loc.end.line,
+        endColumn: problem.node.loc.end.column + 1,
+        fixable: Boolean(problem.fix)
+    };
+}
+
+/**
+ * Sorts the imports of a file the way the sort-imports-es6 rule fixes them, without running ESLint.
+ * The file is fixed repeatedly, re-parsing it in between, until nothing is left to fix, like `eslint --fix`.
+ * @param {string|Object} source - the source text, or an object with the source `text` and its `ast`,
+ *     which needs its `range`, `loc`, `tokens` and `comments`.
+ * @param {Object} [options] - the options of the sort-imports-es6 rule.
+ * @param {Object} [parserConfig] - the `parser` to parse the source with, espree by default, and its `parserOptions`.
+ *     Required with an AST, to parse the fixed source again with the parser that produced the AST.
+ * @returns {Object} the sorted text as `output` and the violations found in the source as `violations`.
+ * @throws {TypeError} if an AST is passed without its parser, or without its tokens and comments.
+ */
+function sortImports(source, options, parserConfig) {
+    const configuration = options || {},
+        config = parserConfig || {},
+        maxPasses = 10;
+
+    if (typeof source !== "string") {
+        if (!config.parser) {
+            throw new TypeError("Pass the parser of the AST in parserConfig, to parse the fixed source again.");
+        }
+        if (!Array.isArray(source.ast.tokens) || !Array.isArray(source.ast.comments)) {
+            throw new TypeError("The AST needs its tokens and comments, parse the source with the tokens and comment parser options.");
+        }
+    }
+    let sourceCode = typeof source === "string" ? parse(source, config) : new SourceCode(source.text, source.ast),
+        problems = checkImports(sourceCode, configuration);
+    const hasBOM = sourceCode.hasBOM,
+        violations = problems.map(getViolation);
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        const fixes = problems.map(problem => getFix(sourceCode.text, problem)).filter(Boolean);
+        if (!fixes.length) {
+            break;
+        }
+        sourceCode = parse(applyFixes(sourceCode.text, fixes), config);
+        problems = checkImports(sourceCode, configuration);
+    }
+
+    return {
+        output: `${hasBOM ? "\uFEFF" : ""}${sourceCode.text}`,
+        violations
+    };
+}
+
+module.exports = {
+    MODULE_KINDS,
+    MEMBER_CASES,
+    messages,
+    checkImports,
+    sortImports
+};
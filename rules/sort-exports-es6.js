@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Rule to require sorting of re-export declarations
+ * @author marudor
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const getSourceCode = require("../lib/compat").getSourceCode;
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Gets if the node re-exports from another module.
+ * @param {ASTNode} node - the node.
+ * @returns {boolean} if the node is an `export ... from` declaration.
+ */
+function isReExport(node) {
+    return (node.type === "ExportAllDeclaration" || node.type === "ExportNamedDeclaration") && Boolean(node.source);
+}
+
+/**
+ * Gets the name of an exported identifier or string literal.
+ * @param {ASTNode} node - the Identifier or Literal node.
+ * @returns {string} the name.
+ */
+function getName(node) {
+    return node.type === "Literal" ? String(node.value) : node.name;
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+    meta: {
+        type: "suggestion",
+
+        docs: {
+            description: "enforce sorted re-export declarations within modules",
+            category: "ECMAScript 6",
+            recommended: false,
+            url: "https://github.com/schuchertmanagementberatung/eslint-plugin-sort-imports-es6-autofix#sort-exports-es6"
+        },
+
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    ignoreCase: {
+                        type: "boolean"
+                    },
+                    memberSyntaxSortOrder: {
+                        type: "array",
+                        items: {
+                            enum: ["star", "namespace", "named"]
+                        },
+                        uniqueItems: true,
+                        minItems: 3,
+                        maxItems: 3
+                    },
+                    ignoreMemberSort: {
+                        type: "boolean"
+                    }
+                },
+                additionalProperties: false
+            }
+        ],
+
+        fixable: "code",
+
+        hasSuggestions: true,
+
+        messages: {
+            syntaxOrder: "Expected '{{syntaxA}}' syntax before '{{syntaxB}}' syntax.",
+            sortExports: "Exports should be sorted alphabetically.",
+            sortMembers: "Member '{{memberName}}' of the export declaration should be sorted alphabetically.",
+            sortMembersMovingComments: "Sort members (comments may move)."
+        }
+    },
+
+    create(context) {
+
+        const configuration = context.options[0] || {},
+            ignoreCase = configuration.ignoreCase || false,
+            ignoreMemberSort = configuration.ignoreMemberSort || false,
+            memberSyntaxSortOrder = configuration.memberSyntaxSortOrder || ["star", "namespace", "named"],
+            sourceCode = getSourceCode(context);
+        const sortedSections = new Map(),
+            initialSource = sourceCode.getText(),
+            allDeclarations = sourceCode.ast.body.filter(isReExport);
+
+        /**
+         * Gets the used member syntax style.
+         *
+         * export * from "my-module.js" --> star
+         * export * as myModule from "my-module.js" --> namespace
+         * export {foo, bar} from "my-module.js" --> named
+         *
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @returns {string} used member parameter style, ["star", "namespace", "named"]
+         */
+        function usedMemberSyntax(node) {
+            if (node.type === "ExportAllDeclaration") {
+                return node.exported ? "namespace" : "star";
+            } else if (node.specifiers.length && node.specifiers[0].type === "ExportNamespaceSpecifier") {
+                return "namespace";
+            }
+            return "named";
+        }
+
+        /**
+         * Gets the group by member parameter index for given declaration.
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @returns {number} the declaration group by member index.
+         */
+        function getMemberParameterGroupIndex(node) {
+            return memberSyntaxSortOrder.indexOf(usedMemberSyntax(node));
+        }
+
+        /**
+         * Gets the name a declaration is ordered by: the namespace or first exported name, or the source for star exports.
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @returns {string} the name, lowercased when ignoreCase is set.
+         */
+        function getDeclarationSortName(node) {
+            let name;
+            if (node.type === "ExportAllDeclaration") {
+                name = node.exported ? getName(node.exported) : node.source.value;
+            } else if (node.specifiers.length) {
+                name = getName(node.specifiers[0].exported);
+            } else {
+                name = node.source.value;
+            }
+            return ignoreCase ? name.toLowerCase() : name;
+        }
+
+        /**
+         * Gets the name of an export specifier used for member sorting.
+         * @param {ASTNode} specifier - the ExportSpecifier node.
+         * @returns {string} the exported name, lowercased when ignoreCase is set.
+         */
+        function getSortableMemberName(specifier) {
+            const name = getName(specifier.exported);
+            return ignoreCase ? name.toLowerCase() : name;
+        }
+
+        /**
+         * Gets the export specifiers that are sorted as members.
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @returns {ASTNode[]} the ExportSpecifier nodes.
+         */
+        function getExportSpecifiers(node) {
+            return (node.specifiers || []).filter(specifier => specifier.type === "ExportSpecifier");
+        }
+
+        /**
+         * Gets if there are comments between the export specifiers of a declaration, which sorting would separate from them.
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @returns {boolean} if the specifiers have comments around them.
+         */
+        function hasMemberComments(node) {
+            return getExportSpecifiers(node).some(specifier => sourceCode.getCommentsBefore(specifier).length || sourceCode.getCommentsAfter(specifier).length);
+        }
+
+        /**
+         * Compares two declarations by member syntax and name.
+         * @param {ASTNode} previousNode - the declaration expected first.
+         * @param {ASTNode} currentNode - the declaration expected second.
+         * @returns {number} 1 if currentNode should come before previousNode, otherwise -1.
+         */
+        function compareDeclarations(previousNode, currentNode) {
+            const currentMemberSyntaxGroupIndex = getMemberParameterGroupIndex(currentNode),
+                previousMemberSyntaxGroupIndex = getMemberParameterGroupIndex(previousNode);
+            if (currentMemberSyntaxGroupIndex !== previousMemberSyntaxGroupIndex) {
+                return (currentMemberSyntaxGroupIndex < previousMemberSyntaxGroupIndex) ? 1 : -1;
+            }
+            return (getDeclarationSortName(currentNode) < getDeclarationSortName(previousNode)) ? 1 : -1;
+        }
+
+        /**
+         * Gets if there are lines (empty or comments) between two nodes
+         * @param {ASTNode} firstNode - the declaration node.
+         * @param {ASTNode} secondNode - the declaration node.
+         * @returns {boolean} if there are lines between the nodes.
+         */
+        function isLineBetween(firstNode, secondNode) {
+            return firstNode.loc.end.line < secondNode.loc.start.line - 1;
+        }
+
+        /**
+         * Gets the text of a declaration with its export specifiers sorted.
+         * @param {string} initial - the source text.
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @returns {?string} the sorted declaration text, or null if the specifiers are sorted already.
+         */
+        function sortMembers(initial, node) {
+            const exportSpecifiers = getExportSpecifiers(node);
+            const firstUnsortedIndex = exportSpecifiers.map(getSortableMemberName).findIndex((name, index, array) => array[index - 1] > name);
+            if (firstUnsortedIndex === -1) {
+                return null;
+            }
+            const before = initial.substring(node.range[0], exportSpecifiers[0].range[0]);
+            const after = initial.substring(exportSpecifiers[exportSpecifiers.length - 1].range[1], node.range[1]);
+
+            const between = exportSpecifiers
+                // Clone the exportSpecifiers array to avoid mutating it
+                .slice()
+                // Sort the array into the desired order
+                .sort((specifierA, specifierB) => (getSortableMemberName(specifierA) > getSortableMemberName(specifierB) ? 1 : -1))
+                // Build a string out of the sorted list of export specifiers and the text between the originals
+                .reduce((sourceText, specifier, index) => {
+                    const textAfterSpecifier = index === exportSpecifiers.length - 1
+                        ? ''
+                        : initial.slice(exportSpecifiers[index].range[1], exportSpecifiers[index + 1].range[0]);
+
+                    return sourceText + initial.substring.apply(initial, specifier.range) + textAfterSpecifier;
+                }, '');
+
+            return `${before}${between}${after}`;
+        }
+
+        function sortAndFixAllNodes(initial, nodes) {
+          const rich = nodes.map(node => [node, initial.substring(node.range[0], node.range[1])]);
+          const betweens = nodes.map((node, i) => i !== (nodes.length - 1) ? initial.substring(node.range[1], nodes[i + 1].range[0]) : null).filter(n => n !== null);
+
+          const fixed = rich.map(n => {
+            const sortedText = ignoreMemberSort || hasMemberComments(n[0]) ? null : sortMembers(initial, n[0]);
+            return sortedText ? [n[0], sortedText] : n;
+          });
+
+          // Group by declarations that are consecutive (no lines inbetween)
+          const sections = fixed.reduce((sections, current) => {
+              const lastSection = sections[sections.length - 1];
+              if (lastSection.length === 0 || !isLineBetween(lastSection[lastSection.length - 1][0], current[0])) {
+                  lastSection.push(current);
+              } else {
+                  sections.push([ current ]);
+              }
+              return sections;
+          }, [[]]);
+
+          // Sort each grouping
+          const sorted = sections.map(section => section.sort((a, b) => compareDeclarations(a[0], b[0])))
+              .reduce((a, c) => a.concat(c), []); // Flatten groupings
+
+          return sorted.map(n => n[1]).reduce((done, current, i) => (`${done}${i !== 0 ? betweens[i - 1] : ''}${current}`), '');
+        }
+
+        /**
+         * Splits the re-export declarations into sections of consecutive declarations, which are sorted independently.
+         * @returns {ASTNode[][]} the declarations of each section.
+         */
+        function getSections() {
+            return allDeclarations.reduce((sections, node, i) => {
+                if (i === 0 || isLineBetween(allDeclarations[i - 1], node)) {
+                    sections.push([node]);
+                } else {
+                    sections[sections.length - 1].push(node);
+                }
+                return sections;
+            }, []);
+        }
+
+        /**
+         * Replaces the re-export declarations of a section with their sorted version,
+         * leaving the specifiers of declarations with comments as they are.
+         * The sorted text is computed once per section and shared by all reports in it.
+         * @param {ASTNode[]} section - the declarations of the section.
+         * @param {RuleFixer} fixer - the fixer.
+         * @returns {Fix} the fix.
+         */
+        function fixSection(section, fixer) {
+            if (!sortedSections.has(section)) {
+                sortedSections.set(section, sortAndFixAllNodes(initialSource, section));
+            }
+            return fixer.replaceTextRange([section[0].range[0], section[section.length - 1].range[1]], sortedSections.get(section));
+        }
+
+        /**
+         * Checks the order of a re-export declaration and its members.
+         * Fixing the order of the declarations is always safe, as the specifiers of declarations with comments are not sorted.
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @param {number} index - the index of the declaration in its section.
+         * @param {ASTNode[]} section - the declarations of the section the declaration belongs to.
+         * @returns {void}
+         */
+        function checkDeclaration(node, index, section) {
+            const previousDeclaration = section[index - 1],
+                fixSortedSection = fixer => fixSection(section, fixer);
+
+            if (previousDeclaration) {
+                const currentMemberSyntaxGroupIndex = getMemberParameterGroupIndex(node),
+                    previousMemberSyntaxGroupIndex = getMemberParameterGroupIndex(previousDeclaration);
+
+                if (currentMemberSyntaxGroupIndex !== previousMemberSyntaxGroupIndex) {
+                    if (currentMemberSyntaxGroupIndex < previousMemberSyntaxGroupIndex) {
+                        context.report({
+                            node,
+                            messageId: "syntaxOrder",
+                            data: {
+                                syntaxA: memberSyntaxSortOrder[currentMemberSyntaxGroupIndex],
+                                syntaxB: memberSyntaxSortOrder[previousMemberSyntaxGroupIndex]
+                            },
+                            fix: fixSortedSection
+                        });
+                    }
+                } else if (getDeclarationSortName(node) < getDeclarationSortName(previousDeclaration)) {
+                    context.report({
+                        node,
+                        messageId: "sortExports",
+                        fix: fixSortedSection
+                    });
+                }
+            }
+
+            // Multiple members of a re-export declaration should also be sorted alphabetically.
+            checkMembers(node, fixSortedSection);
+        }
+
+        /**
+         * Checks the order of the members of an export declaration.
+         * @param {ASTNode} node - the ExportAllDeclaration or ExportNamedDeclaration node.
+         * @param {Function} fixMembers - creates the fix that sorts the members.
+         * @returns {void}
+         */
+        function checkMembers(node, fixMembers) {
+            if (ignoreMemberSort) {
+                return;
+            }
+            const exportSpecifiers = getExportSpecifiers(node);
+            const firstUnsortedIndex = exportSpecifiers.map(getSortableMemberName).findIndex((name, index, array) => array[index - 1] > name);
+
+            if (firstUnsortedIndex !== -1) {
+                context.report({
+                    node: exportSpecifiers[firstUnsortedIndex],
+                    messageId: "sortMembers",
+                    data: { memberName: getName(exportSpecifiers[firstUnsortedIndex].exported) },
+                    fix(fixer) {
+                        if (hasMemberComments(node)) {
+
+                            // If there are comments in the ExportSpecifier list, don't rearrange the specifiers.
+                            return null;
+                        }
+                        return fixMembers(fixer);
+                    },
+                    suggest: hasMemberComments(node) ? [{
+                        messageId: "sortMembersMovingComments",
+                        fix: fixer => fixer.replaceTextRange(node.range, sortMembers(sourceCode.getText(), node))
+                    }] : []
+                });
+            }
+        }
+
+        return {
+            ExportNamedDeclaration(node) {
+                if (!node.source) {
+
+                    // Local export lists are not ordered among the re-exports, only their members are sorted.
+                    checkMembers(node, fixer => fixer.replaceTextRange(node.range, sortMembers(sourceCode.getText(), node)));
+                }
+            },
+            "Program:exit"() {
+                getSections().forEach(section => section.forEach(checkDeclaration));
+            }
+        };
+    }
+};
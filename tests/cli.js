@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Tests for the sort-imports-es6 command line tool.
+ * @author marudor
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert");
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+var bin = path.join(__dirname, "../bin/sort-imports-es6.js");
+
+/**
+ * Runs the command line tool.
+ * @param {string[]} args - the arguments.
+ * @param {Object} [options] - the working directory as `cwd` and the text to pipe to stdin as `input`.
+ * @returns {Object} the exit code as `status`, `stdout` and `stderr`.
+ */
+function run(args, options) {
+    return childProcess.spawnSync(process.execPath, [bin].concat(args), Object.assign({ encoding: "utf8", timeout: 30000 }, options));
+}
+
+describe("sort-imports-es6 command line tool", () => {
+    var cwd;
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), "sort-imports-es6-"));
+        fs.mkdirSync(path.join(cwd, "src"));
+        fs.writeFileSync(path.join(cwd, "src/unsorted.js"), "import b from 'b';\nimport a from 'a';\n");
+        fs.writeFileSync(path.join(cwd, "src/sorted.js"), "import a from 'a';\nimport b from 'b';\n");
+        fs.writeFileSync(path.join(cwd, "src/types.ts"), "import b from 'b';\nimport type {T} from 't';\nimport a from 'a';\nlet x: number;\n");
+    });
+
+    afterEach(() => {
+        fs.readdirSync(path.join(cwd, "src")).forEach(file => fs.unlinkSync(path.join(cwd, "src", file)));
+        fs.rmdirSync(path.join(cwd, "src"));
+        fs.rmdirSync(cwd);
+    });
+
+    it("reports unsorted files with --check", () => {
+        var result = run(["--check", "src"], { cwd });
+
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(result.stdout,
+            "src/types.ts:3:1  Expected type imports 'after' all other imports.\n" +
+            "src/unsorted.js:2:1  Imports should be sorted alphabetically.\n" +
+            "\n" +
+            "2 of 3 files have unsorted imports. Run with --write to sort them.\n");
+        assert.strictEqual(fs.readFileSync(path.join(cwd, "src/unsorted.js"), "utf8"), "import b from 'b';\nimport a from 'a';\n");
+    });
+
+    it("reports violations without an autofix with --check", () => {
+        fs.writeFileSync(path.join(cwd, "src/hoist.js"), "import b from 'b'; foo(); import './poly';\n");
+
+        var result = run(["--check", "--options", "{\"hoistImports\": true, \"sideEffectImports\": \"barrier\"}", "src/hoist.js"], { cwd });
+
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(result.stdout,
+            "src/hoist.js:1:27  Expected imports before all other statements.\n" +
+            "\n" +
+            "1 of 1 files have unsorted imports. Run with --write to sort them.\n");
+    });
+
+    it("parses .cjs files as CommonJS scripts", () => {
+        fs.writeFileSync(path.join(cwd, "src/script.cjs"), "const b = require('b');\nconst a = require('a');\nif (!a) return;\n");
+
+        var result = run(["--write", "--options", "{\"commonjs\": true}", "src/script.cjs"], { cwd });
+
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(fs.readFileSync(path.join(cwd, "src/script.cjs"), "utf8"), "const a = require('a');\nconst b = require('b');\nif (!a) return;\n");
+    });
+
+    it("passes --check for sorted files matching a glob", () => {
+        var result = run(["--check", "src/sorted.*"], { cwd });
+
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, "");
+    });
+
+    it("sorts files in place with --write", () => {
+        var result = run(["--write", "--options", "{\"typeSortStrategy\": \"before\"}", "src"], { cwd });
+
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, "src/types.ts\nsrc/unsorted.js\n");
+        assert.strictEqual(fs.readFileSync(path.join(cwd, "src/unsorted.js"), "utf8"), "import a from 'a';\nimport b from 'b';\n");
+        assert.strictEqual(fs.readFileSync(path.join(cwd, "src/types.ts"), "utf8"), "import type {T} from 't';\nimport a from 'a';\nimport b from 'b';\nlet x: number;\n");
+    });
+
+    it("sorts stdin with --stdin", () => {
+        var result = run(["--stdin", "--stdin-filename", "file.ts"], { cwd, input: "import b from 'b';\nimport a from 'a';\nlet x: number;\n" });
+
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, "import a from 'a';\nimport b from 'b';\nlet x: number;\n");
+    });
+
+    it("fails on invalid arguments", () => {
+        var result = run(["--check", "--write", "src"], { cwd });
+
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.startsWith("--write cannot be combined with --check."));
+    });
+
+    it("fails on options that do not match the schema of the rule", () => {
+        var result = run(["--check", "--options", "{\"sortBy\": \"nope\", \"sortby\": \"source\"}", "src"], { cwd });
+
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.startsWith("Invalid --options: "), result.stderr);
+        assert.ok(result.stderr.indexOf("options.sortBy should be equal to one of the allowed values") !== -1, result.stderr);
+        assert.ok(result.stderr.indexOf("options should NOT have additional properties") !== -1, result.stderr);
+    });
+});
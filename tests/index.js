@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Tests for the shareable configs of the plugin.
+ * @author marudor
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert");
+var ESLint = require("eslint").ESLint;
+var plugin = require("../index");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+var PLUGIN_NAME = "sort-imports-es6-autofix";
+
+describe("configs", () => {
+    ["recommended", "typescript", "flow"].forEach(name => {
+        it(`${name} lints modules with valid rule options`, async () => {
+            var eslint = new ESLint({
+                useEslintrc: false,
+                plugins: { [PLUGIN_NAME]: plugin },
+                baseConfig: plugin.configs[name]
+            });
+            var results = await eslint.lintText("import b from 'b';\nimport a from 'a';\n");
+
+            assert.deepStrictEqual(results[0].messages.map(message => message.ruleId), [`${PLUGIN_NAME}/sort-imports-es6`]);
+        });
+
+        it(`flat/${name} references the plugin and has the rules of ${name}`, () => {
+            var config = plugin.configs[`flat/${name}`];
+
+            assert.strictEqual(config.plugins[PLUGIN_NAME], plugin);
+            assert.deepStrictEqual(config.rules, plugin.configs[name].rules);
+        });
+    });
+
+    it("flow has the same settings as typescript", () => {
+        assert.deepStrictEqual(plugin.configs.flow, plugin.configs.typescript);
+    });
+});
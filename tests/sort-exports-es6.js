@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Tests for sort-exports rule.
+ * @author marudor
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require("../rules/sort-exports-es6");
+var RuleTester = require('eslint').RuleTester;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+
+var expectedError = {
+    message: "Exports should be sorted alphabetically.",
+    type: "ExportNamedDeclaration"
+};
+var ignoreCaseArgs = [{ ignoreCase: true }];
+const fixtures = {
+    valid: [
+        {
+            code:
+                "export * from 'b.js';\n" +
+                "export * as a from 'c.js';\n" +
+                "export { c } from 'a.js';",
+        },
+        {
+            code:
+                "export * from 'a.js';\n" +
+                "export * from 'b.js';",
+        },
+        {
+            code:
+                "export { b, c } from 'foo.js';\n" +
+                "export { a as d } from 'bar.js';",
+        },
+        {
+            code:
+                "export { a as b, c } from 'foo.js';\n" +
+                "export { d } from 'bar.js';",
+        },
+        {
+            code:
+                "export { a, B } from 'foo.js';\n" +
+                "export { c } from 'bar.js';",
+            options: ignoreCaseArgs
+        },
+        {
+            code: "export { b, a } from 'foo.js';",
+            options: [{ ignoreMemberSort: true }]
+        },
+        {
+            code:
+                "export { a } from 'foo.js';\n" +
+                "export * from 'bar.js';",
+            options: [{ memberSyntaxSortOrder: ["named", "namespace", "star"] }]
+        },
+        {
+            code:
+                "export { b } from 'foo.js';\n" +
+                "\n" +
+                "export { a } from 'bar.js';",
+        },
+        {
+            code:
+                "export { b } from 'foo.js';\n" +
+                "export const c = 1;\n" +
+                "export { a } from 'bar.js';",
+        },
+        {
+            code:
+                "const b = 1, a = 2;\n" +
+                "export { a as alpha, b };",
+        },
+        {
+            code:
+                "const b = 1, a = 2;\n" +
+                "export { b, a };",
+            options: [{ ignoreMemberSort: true }]
+        },
+        {
+            code: "export const b = 1, a = 2;",
+        },
+    ],
+    invalid: [
+        {
+            code:
+                "export { b } from 'foo.js';\n" +
+                "export { a } from 'bar.js';",
+            output:
+                "export { a } from 'bar.js';\n" +
+                "export { b } from 'foo.js';",
+            errors: [expectedError],
+        },
+        {
+            code:
+                "export * from 'foo.js';\n" +
+                "export * from 'bar.js';",
+            output:
+                "export * from 'bar.js';\n" +
+                "export * from 'foo.js';",
+            errors: [{
+                message: "Exports should be sorted alphabetically.",
+                type: "ExportAllDeclaration"
+            }],
+        },
+        {
+            code:
+                "export { a } from 'foo.js';\n" +
+                "export * as ns from 'ns.js';\n" +
+                "export * from 'bar.js';",
+            output:
+                "export * from 'bar.js';\n" +
+                "export * as ns from 'ns.js';\n" +
+                "export { a } from 'foo.js';",
+            errors: [{
+                message: "Expected 'namespace' syntax before 'named' syntax.",
+                type: "ExportAllDeclaration"
+            }, {
+                message: "Expected 'star' syntax before 'namespace' syntax.",
+                type: "ExportAllDeclaration"
+            }],
+        },
+        {
+            code: "export { c, a as b, d } from 'foo.js';",
+            output: "export { a as b, c, d } from 'foo.js';",
+            errors: [{
+                message: "Member 'b' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }],
+        },
+        {
+            code: "export { a, B, D, c } from 'foo.js';",
+            output: "export { a, B, c, D } from 'foo.js';",
+            options: ignoreCaseArgs,
+            errors: [{
+                message: "Member 'c' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }],
+        },
+        {
+            code: "export { b, /* comment */ a } from 'foo.js';",
+            output: null,
+            errors: [{
+                message: "Member 'a' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }],
+        },
+        {
+            code:
+                "export { d, c } from 'foo.js';\n" +
+                "export { b } from 'bar.js';\n" +
+                "\n" +
+                "export { a } from 'baz.js';",
+            output:
+                "export { b } from 'bar.js';\n" +
+                "export { c, d } from 'foo.js';\n" +
+                "\n" +
+                "export { a } from 'baz.js';",
+            errors: [{
+                message: "Member 'c' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }, expectedError],
+        },
+
+        // Sort local export lists
+        {
+            code:
+                "const zeta = 1, alpha = 2;\n" +
+                "export { zeta, alpha as beta };",
+            output:
+                "const zeta = 1, alpha = 2;\n" +
+                "export { alpha as beta, zeta };",
+            errors: [{
+                message: "Member 'beta' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }],
+        },
+        {
+            code:
+                "const a = 1, B = 2, c = 3;\n" +
+                "export {\n" +
+                "    c,\n" +
+                "    B,\n" +
+                "    a,\n" +
+                "};",
+            output:
+                "const a = 1, B = 2, c = 3;\n" +
+                "export {\n" +
+                "    a,\n" +
+                "    B,\n" +
+                "    c,\n" +
+                "};",
+            options: ignoreCaseArgs,
+            errors: [{
+                message: "Member 'B' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }],
+        },
+        {
+            code:
+                "const a = 1, b = 2;\n" +
+                "export { b, a }; // trailing\n" +
+                "export { b as d, a as c } from 'foo.js';",
+            output:
+                "const a = 1, b = 2;\n" +
+                "export { a, b }; // trailing\n" +
+                "export { a as c, b as d } from 'foo.js';",
+            errors: [{
+                message: "Member 'a' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }, {
+                message: "Member 'c' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }],
+        },
+        {
+            code:
+                "const a = 1, b = 2;\n" +
+                "export { b /* comment */, a };",
+            output: null,
+            errors: [{
+                message: "Member 'a' of the export declaration should be sorted alphabetically.",
+                type: "ExportSpecifier"
+            }],
+        },
+        {
+            code:
+                "export {c, b} from 'c.js';\n" +
+                "export {a} from 'a.js';\n",
+            output:
+                "export {a} from 'a.js';\n" +
+                "export {b, c} from 'c.js';\n",
+            errors: [{
+                messageId: "sortMembers",
+                data: { memberName: "b" }
+            }, {
+                messageId: "sortExports"
+            }],
+        },
+        {
+            code: "export { b, /* comment */ a } from 'foo.js';",
+            output: null,
+            errors: [{
+                messageId: "sortMembers",
+                suggestions: [{
+                    messageId: "sortMembersMovingComments",
+                    output: "export { a, /* comment */ b } from 'foo.js';"
+                }]
+            }],
+        },
+        {
+            code:
+                "export { d, /* c */ c } from 'foo.js';\n" +
+                "export { a } from 'bar.js';\n" +
+                "\n" +
+                "export { f } from 'f.js';\n" +
+                "export { e } from 'e.js';\n",
+            output:
+                "export { a } from 'bar.js';\n" +
+                "export { d, /* c */ c } from 'foo.js';\n" +
+                "\n" +
+                "export { e } from 'e.js';\n" +
+                "export { f } from 'f.js';\n",
+            errors: [{
+                messageId: "sortMembers",
+                suggestions: [{
+                    messageId: "sortMembersMovingComments",
+                    output:
+                        "export { c, /* c */ d } from 'foo.js';\n" +
+                        "export { a } from 'bar.js';\n" +
+                        "\n" +
+                        "export { f } from 'f.js';\n" +
+                        "export { e } from 'e.js';\n"
+                }]
+            }, {
+                messageId: "sortExports",
+                suggestions: []
+            }, {
+                messageId: "sortExports",
+                suggestions: []
+            }],
+        }
+    ]
+};
+
+RuleTester.setDefaultConfig({
+    parserOptions: {
+        sourceType: 'module',
+        ecmaVersion: 2020,
+    }
+});
+
+var ruleTester = new RuleTester();
+ruleTester.run("sort-exports - esprima", rule, fixtures);
+
+RuleTester.setDefaultConfig({
+    parser: require.resolve('babel-eslint')
+});
+ruleTester = new RuleTester();
+ruleTester.run("sort-exports - babel-eslint", rule, fixtures);
+
+RuleTester.setDefaultConfig({
+    parser: require.resolve('@typescript-eslint/parser'),
+    parserOptions: {
+        sourceType: 'module',
+        ecmaVersion: 2020,
+    }
+});
+ruleTester = new RuleTester();
+ruleTester.run("sort-exports - @typescript-eslint/parser", rule, fixtures);
@@ -188,6 +188,314 @@ const fixtures = {
                 "B.something()\n" +
                 "import A from 'baz.js';",
         },
+
+        // ensure that declarations can be sorted by their source
+        {
+            code:
+                "import zebra from 'a.js';\n" +
+                "import apple from 'z.js';",
+            options: [{ sortBy: "source" }],
+        },
+        {
+            code:
+                "import b from 'a.js';\n" +
+                "import a, {c} from 'a.js';",
+            options: [{ sortBy: "source" }],
+        },
+        {
+            code:
+                "import a from 'a.js';\n" +
+                "import b from 'a.js';\n" +
+                "import apple from 'z.js';",
+            options: [{ sortBy: "sourceThenLocal" }],
+        },
+
+        // ensure that groups are ordered before member syntax and names
+        {
+            code:
+                "import { readFile } from 'node:fs';\n" +
+                "import path from 'path';\n" +
+                "import React from 'react';\n" +
+                "import { api } from '@/api';\n" +
+                "import { parent } from '../parent';\n" +
+                "import sibling from './sibling';\n" +
+                "import index from './';",
+            options: [{ groups: ["builtin", "external", "internal", "parent", "sibling", "index"] }],
+        },
+        {
+            code:
+                "import { b } from 'react';\n" +
+                "import { a as c } from '@scope/pkg';\n" +
+                "import a from '~/theme';",
+            options: [{ groups: ["external", { name: "theme", pattern: "^~/theme" }] }],
+        },
+
+        // ensure that blank lines separate groups when newlinesBetween is set
+        {
+            code:
+                "import * as a from 'a.js';\n" +
+                "\n" +
+                "import {b} from 'b.js';\n" +
+                "\n" +
+                "import c from 'c.js';\n" +
+                "import d from 'd.js';",
+            options: [{ newlinesBetween: "always" }],
+        },
+        {
+            code:
+                "import * as a from 'a.js';\n" +
+                "import {b} from 'b.js';\n" +
+                "import c from 'c.js';",
+            options: [{ newlinesBetween: "never" }],
+        },
+        {
+            code:
+                "import d from 'd.js';\n" +
+                "// comment\n" +
+                "import c from 'c.js';",
+            options: [{ newlinesBetween: "always" }],
+        },
+
+        // ensure that names are compared with the configured collation
+        {
+            code:
+                "import item2 from 'foo.js';\n" +
+                "import item10 from 'bar.js';",
+            options: [{ collation: { numeric: true } }],
+        },
+        {
+            code: "import {item2, item10, Item11} from 'foo.js';",
+            options: [{ collation: { locale: "en", numeric: true, sensitivity: "base" } }],
+        },
+        {
+            code: "import {a, B, c} from 'foo.js';",
+            options: [{ collation: { locale: "en" } }],
+        },
+
+        // ensure that side-effect imports are not moved when configured
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "import './polyfill';\n" +
+                "import a from 'a.js';",
+            options: [{ sideEffectImports: "barrier" }],
+        },
+
+        // ensure that inline type specifiers are grouped when configured
+        {
+            code: "import { type bar, baz, type foo } from 'x';",
+            parser: require.resolve('babel-eslint'),
+        },
+        {
+            code: "import { type baz, type foo, bar } from 'x';",
+            options: [{ memberTypeSortStrategy: "before" }],
+            parser: require.resolve('babel-eslint'),
+        },
+        {
+            code: "import { bar, type baz, type foo } from 'x';",
+            options: [{ memberTypeSortStrategy: "after" }],
+            parser: require.resolve('babel-eslint'),
+        },
+        {
+            code:
+                "import bar from 'bar';\n" +
+                "import { type Baz, type Foo } from 'baz';",
+            parser: require.resolve('babel-eslint'),
+        },
+
+        // ensure that members can be sorted by their imported name
+        {
+            code: "import { z as a, b } from 'x';",
+        },
+        {
+            code: "import { b, z as a } from 'x';",
+            options: [{ memberSortKey: "imported" }],
+        },
+        {
+            code: "import { a as y, a as z, B as b } from 'x';",
+            options: [{ memberSortKey: "imported", ignoreCase: true }],
+        },
+
+        // ensure that only mergeable duplicates are reported
+        {
+            code:
+                "import {a} from 'x';\n" +
+                "import {b} from 'y';",
+            options: [{ mergeDuplicates: true }],
+        },
+        {
+            code:
+                "import * as ns from 'x';\n" +
+                "import {b} from 'x';",
+            options: [{ mergeDuplicates: true }],
+        },
+        {
+            code:
+                "import a from 'x';\n" +
+                "import b from 'x';",
+            options: [{ mergeDuplicates: true }],
+        },
+        {
+            code:
+                "import {a} from 'x';\n" +
+                "\n" +
+                "import {b} from 'x';",
+            options: [{ mergeDuplicates: true }],
+        },
+        {
+            code:
+                "import {b} from 'x';\n" +
+                "import type {A} from 'x';",
+            options: [{ mergeDuplicates: true }],
+            parser: require.resolve('babel-eslint'),
+        },
+        {
+            code:
+                "import './z-polyfill';\n" +
+                "import './a-styles.css';\n" +
+                "import * as b from 'b.js';\n" +
+                "import a from 'a.js';",
+            options: [{ sideEffectImports: "pinTop" }],
+        },
+
+        // ensure that imports at the top are not hoisted
+        {
+            code:
+                "'use strict';\n" +
+                "import a from 'a.js';\n" +
+                "import b from 'b.js';\n" +
+                "a(b);",
+            options: [{ hoistImports: true }],
+        },
+        {
+            code:
+                "require('polyfill');\n" +
+                "const a = require('a');\n" +
+                "const {b, c} = require('b');\n" +
+                "const d = require('d').d;\n",
+            options: [{ commonjs: true }],
+        },
+        {
+            code:
+                "const b = require('b');\n" +
+                "const a = require('a');\n",
+        },
+        {
+            code:
+                "const b = require('b');\n" +
+                "foo();\n" +
+                "const a = require('a');\n",
+            options: [{ commonjs: true }],
+        },
+        {
+            code:
+                "function load() {\n" +
+                "    const b = require('b');\n" +
+                "    const a = require('a');\n" +
+                "}\n",
+            options: [{ commonjs: true }],
+        },
+        {
+            code:
+                "const b = require('b'), a = require('a');\n" +
+                "const {c: {d}} = require('c');\n",
+            options: [{ commonjs: true }],
+        },
+        {
+            code:
+                "const b = require('b');\n" +
+                "const b2 = require('b');\n",
+            options: [{ commonjs: true, mergeDuplicates: true }],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "declare module 'foo' {\n" +
+                "    import a from 'a.js';\n" +
+                "}\n",
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+        },
+        {
+            code:
+                "import * as a from 'a.js';\n" +
+                "import b = require('b.js');\n" +
+                "import c from 'c.js';\n",
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+        },
+        {
+            code:
+                "import a = require('a.js');\n" +
+                "import b from 'b.js';\n" +
+                "import Alias = Namespace.Alias;\n" +
+                "import c from 'c.js';\n",
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+        },
+
+        // Sorted members are left alone by memberFormatting
+        {
+            code: "import {a, b,\n    c} from 'x';",
+            options: [{ memberFormatting: { layout: "singleLine", trailingComma: "always" } }]
+        },
+
+        // Members sorted by memberGroups
+        {
+            code: "import {MAX_SIZE, VERSION, Button, Component, useState} from 'react';",
+            options: [{ memberGroups: ["UPPER_CASE", "PascalCase", "camelCase"] }]
+        },
+        {
+            code: "import {useA, a, b} from 'x';",
+            options: [{ memberGroups: [{ name: "hooks", pattern: "^use" }] }]
+        },
+
+        // Code between imports separates sections when newlinesBetween is set
+        {
+            code:
+                "import b from 'b';\n" +
+                "init();\n" +
+                "import a from 'a';",
+            options: [{ newlinesBetween: "always" }],
+        },
+        {
+            code:
+                "import a from 'a'; init();\n" +
+                "\n" +
+                "import b from 'b';",
+            options: [{ newlinesBetween: "never" }],
+        },
+        {
+            code:
+                "import b from 'b'; init(); import a from 'a';",
+            options: [{ newlinesBetween: "always" }],
+        },
+
+        // Imports with code between them are never merged
+        {
+            code:
+                "import {b} from 'x'; foo();\n" +
+                "import {a} from 'x';",
+            options: [{ mergeDuplicates: true }],
+        },
+
+        // Type imports with different kinds of bindings are never merged
+        {
+            code:
+                "import type {B} from './x';\n" +
+                "import type A from './x';",
+            options: [{ mergeDuplicates: true }],
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+        },
+        {
+            code:
+                "import type * as N from './x';\n" +
+                "import type A from './x';",
+            options: [{ mergeDuplicates: true }],
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+        },
     ],
     invalid: [
         {
@@ -442,13 +750,13 @@ const fixtures = {
                 "//comment\n" +
                 "import LocaleOptions from 'api/User/LocaleOptions';\n" +
                 "import moment from 'moment';\n" +
+                "import * as notificationStorage from 'api/Notification/notificationStorage';\n" +
+                "import DmsDataFactory from 'api/DMS/DmsDataFactory';\n" +
+                "import DocumentUpload from 'web/Controls/DocumentUpload';\n" +
                 "/*multi-line-comment \n" +
                 "import React from 'react';\n" +
                 "import Theme from 'theme';\n" +
                 "multi-line-comment */\n" +
-                "import * as notificationStorage from 'api/Notification/notificationStorage';\n" +
-                "import DmsDataFactory from 'api/DMS/DmsDataFactory';\n" +
-                "import DocumentUpload from 'web/Controls/DocumentUpload';\n" +
                 "import EmployeePicture from 'web/Controls/EmployeePicture';\n" +
                 "import Loading from 'web/Controls/Loading';\n" +
                 "import ToggleableTextarea from 'web/Controls/ToggleableTextarea';\n" +
@@ -551,6 +859,1072 @@ import path from 'path';
 `,
             options: ignoreCaseArgs,
             errors: [expectedError],
+        },
+
+        // Sort by source
+        {
+            code:
+                "import apple from 'z.js';\n" +
+                "import zebra from 'a.js';",
+            output:
+                "import zebra from 'a.js';\n" +
+                "import apple from 'z.js';",
+            options: [{ sortBy: "source" }],
+            errors: [expectedError],
+        },
+        {
+            code:
+                "import Apple from 'Z.js';\n" +
+                "import zebra from 'a.js';",
+            output:
+                "import zebra from 'a.js';\n" +
+                "import Apple from 'Z.js';",
+            options: [{ sortBy: "source", ignoreCase: true }],
+            errors: [expectedError],
+        },
+        {
+            code:
+                "import b from 'a.js';\n" +
+                "import a from 'a.js';\n" +
+                "import apple from 'z.js';",
+            output:
+                "import a from 'a.js';\n" +
+                "import b from 'a.js';\n" +
+                "import apple from 'z.js';",
+            options: [{ sortBy: "sourceThenLocal" }],
+            errors: [expectedError],
+        },
+
+        // Sort by groups
+        {
+            code:
+                "import { sibling } from './sibling';\n" +
+                "import React from 'react';\n" +
+                "import fs from 'fs';\n" +
+                "import index from './index.js';\n" +
+                "import { parent } from '../parent';",
+            output:
+                "import fs from 'fs';\n" +
+                "import React from 'react';\n" +
+                "import { parent } from '../parent';\n" +
+                "import { sibling } from './sibling';\n" +
+                "import index from './index.js';",
+            options: [{ groups: ["builtin", "external", "internal", "parent", "sibling", "index"] }],
+            errors: [{
+                message: "Expected 'external' imports before 'sibling' imports.",
+                type: "ImportDeclaration"
+            }, {
+                message: "Expected 'builtin' imports before 'external' imports.",
+                type: "ImportDeclaration"
+            }, {
+                message: "Expected 'parent' imports before 'index' imports.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import a from './a';\n" +
+                "import { b } from '@/b';\n" +
+                "import c from 'c';",
+            output:
+                "import { b } from '@/b';\n" +
+                "import a from './a';\n" +
+                "import c from 'c';",
+            options: [{ groups: [{ name: "aliases", pattern: "^@/" }, "sibling"] }],
+            errors: [{
+                message: "Expected 'aliases' imports before 'sibling' imports.",
+                type: "ImportDeclaration"
+            }],
+        },
+
+        // Enforce blank lines between groups
+        {
+            code:
+                "import * as a from 'a.js';\n" +
+                "import {b} from 'b.js';\n" +
+                "import c from 'c.js';\n" +
+                "\n" +
+                "import d from 'd.js';",
+            output:
+                "import * as a from 'a.js';\n" +
+                "\n" +
+                "import {b} from 'b.js';\n" +
+                "\n" +
+                "import c from 'c.js';\n" +
+                "import d from 'd.js';",
+            options: [{ newlinesBetween: "always" }],
+            errors: [{
+                message: "Expected a blank line between import groups.",
+                type: "ImportDeclaration"
+            }, {
+                message: "Expected a blank line between import groups.",
+                type: "ImportDeclaration"
+            }, {
+                message: "Unexpected blank line within an import group.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import d from 'd.js';\n" +
+                "\n" +
+                "import c from 'c.js';",
+            output:
+                "import c from 'c.js';\n" +
+                "import d from 'd.js';",
+            options: [{ newlinesBetween: "always" }],
+            errors: [expectedError],
+        },
+        {
+            code:
+                "import * as a from 'a.js';\n" +
+                "\n" +
+                "\n" +
+                "import c from 'c.js';",
+            output:
+                "import * as a from 'a.js';\n" +
+                "import c from 'c.js';",
+            options: [{ newlinesBetween: "never" }],
+            errors: [{
+                message: "Unexpected blank line between imports.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import fs from 'fs';\n" +
+                "import a from './a';\n" +
+                "import React from 'react';",
+            output:
+                "import fs from 'fs';\n" +
+                "\n" +
+                "import React from 'react';\n" +
+                "\n" +
+                "import a from './a';",
+            options: [{ groups: ["builtin", "external", "sibling"], newlinesBetween: "always" }],
+            errors: [{
+                message: "Expected a blank line between import groups.",
+                type: "ImportDeclaration"
+            }, {
+                message: "Expected 'external' imports before 'sibling' imports.",
+                type: "ImportDeclaration"
+            }],
+        },
+
+        // Compare names with a collation
+        {
+            code: "import {item10, item2} from 'foo.js';",
+            output: "import {item2, item10} from 'foo.js';",
+            options: [{ collation: { numeric: true } }],
+            errors: [{
+                message: "Member 'item2' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import item10 from 'foo.js';\n" +
+                "import item2 from 'bar.js';",
+            output:
+                "import item2 from 'bar.js';\n" +
+                "import item10 from 'foo.js';",
+            options: [{ collation: { numeric: true } }],
+            errors: [expectedError],
+        },
+        {
+            code: "import {b, A, a, B} from 'foo.js';",
+            output: "import {A, a, B, b} from 'foo.js';",
+            options: ignoreCaseArgs,
+            errors: [{
+                message: "Member 'A' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code: "import {b, a, B, A} from 'foo.js';",
+            output: "import {a, A, b, B} from 'foo.js';",
+            options: [{ collation: { locale: "en", caseFirst: "lower" } }],
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "import a from 'foo.js';\n" +
+                "import A from 'bar.js';",
+            output:
+                "import A from 'bar.js';\n" +
+                "import a from 'foo.js';\n" +
+                "import b from 'b.js';",
+            options: ignoreCaseArgs,
+            errors: [expectedError],
+        },
+
+        // Side-effect imports
+        {
+            code:
+                "import d from 'd.js';\n" +
+                "import c from 'c.js';\n" +
+                "import './polyfill';\n" +
+                "import b from 'b.js';\n" +
+                "import a from 'a.js';",
+            output:
+                "import c from 'c.js';\n" +
+                "import d from 'd.js';\n" +
+                "import './polyfill';\n" +
+                "import a from 'a.js';\n" +
+                "import b from 'b.js';",
+            options: [{ sideEffectImports: "barrier" }],
+            errors: [expectedError, expectedError],
+        },
+        {
+            code:
+                "import { b } from 'b.js';\n" +
+                "import './z-polyfill';\n" +
+                "import a from 'a.js';\n" +
+                "import './a-styles.css';",
+            output:
+                "import './z-polyfill';\n" +
+                "import './a-styles.css';\n" +
+                "import { b } from 'b.js';\n" +
+                "import a from 'a.js';",
+            options: [{ sideEffectImports: "pinTop" }],
+            errors: [{
+                message: "Expected side-effect imports before all other imports.",
+                type: "ImportDeclaration"
+            }, {
+                message: "Expected side-effect imports before all other imports.",
+                type: "ImportDeclaration"
+            }],
+        },
+
+        // Inline type specifiers
+        {
+            code: "import { type foo, bar, type baz } from 'x';",
+            output: "import { type baz, type foo, bar } from 'x';",
+            options: [{ memberTypeSortStrategy: "before" }],
+            parser: require.resolve('babel-eslint'),
+            errors: [{
+                message: "Expected type members 'before' all other members.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code: "import { type foo, bar, type baz } from 'x';",
+            output: "import { bar, type baz, type foo } from 'x';",
+            options: [{ memberTypeSortStrategy: "after" }],
+            parser: require.resolve('babel-eslint'),
+            errors: [{
+                message: "Expected type members 'after' all other members.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code: "import { type foo, bar, type baz } from 'x';",
+            output: "import { bar, type baz, type foo } from 'x';",
+            parser: require.resolve('babel-eslint'),
+            errors: [{
+                message: "Member 'bar' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import { type Baz, type Foo } from 'baz';\n" +
+                "import bar from 'bar';",
+            output:
+                "import bar from 'bar';\n" +
+                "import { type Baz, type Foo } from 'baz';",
+            parser: require.resolve('babel-eslint'),
+            errors: [{
+                message: "Expected type imports 'after' all other imports.",
+                type: "ImportDeclaration"
+            }],
+        },
+
+        // Sort members by imported name
+        {
+            code: "import { z as a, b } from 'x';",
+            output: "import { b, z as a } from 'x';",
+            options: [{ memberSortKey: "imported" }],
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code: "import React, { useState as state, Component as Base } from 'react';",
+            output: "import React, { Component as Base, useState as state } from 'react';",
+            options: [{ memberSortKey: "imported" }],
+            errors: [{
+                message: "Member 'Component' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+
+        // Move attached comments together with their import
+        {
+            code:
+                "import b from 'b.js'; // eslint-disable-line\n" +
+                "import a from 'a.js'; /* a */\n",
+            output:
+                "import a from 'a.js'; /* a */\n" +
+                "import b from 'b.js'; // eslint-disable-line\n",
+            errors: [expectedError],
+        },
+        {
+            code:
+                "import c from 'c.js';\n" +
+                "\n" +
+                "// @ts-expect-error\n" +
+                "import b from 'b.js';\n" +
+                "import a from 'a.js';",
+            output:
+                "import c from 'c.js';\n" +
+                "\n" +
+                "import a from 'a.js';\n" +
+                "// @ts-expect-error\n" +
+                "import b from 'b.js';",
+            errors: [expectedError],
+        },
+        {
+            code:
+                "// @flow\n" +
+                "import b from 'b.js';\n" +
+                "import a from 'a.js';",
+            output:
+                "// @flow\n" +
+                "import a from 'a.js';\n" +
+                "import b from 'b.js';",
+            errors: [expectedError],
+        },
+        {
+            code:
+                "import {b, a} from 'b.js'; // b\n" +
+                "import c from 'c.js';",
+            output:
+                "import {a, b} from 'b.js'; // b\n" +
+                "import c from 'c.js';",
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+
+        // Sort members that carry comments
+        {
+            code: "import { c, /* b */ b, a } from 'x';",
+            output: "import { a, /* b */ b, c } from 'x';",
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import {\n" +
+                "    // about c\n" +
+                "    c, // trailing c\n" +
+                "    b /* inner b */,\n" +
+                "    a // trailing a\n" +
+                "} from 'x';",
+            output:
+                "import {\n" +
+                "    a, // trailing a\n" +
+                "    b /* inner b */,\n" +
+                "    // about c\n" +
+                "    c // trailing c\n" +
+                "} from 'x';",
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import { // keep\n" +
+                "    b,\n" +
+                "    a, // trailing a\n" +
+                "} from 'x';",
+            output:
+                "import { // keep\n" +
+                "    a, // trailing a\n" +
+                "    b,\n" +
+                "} from 'x';",
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import { b, // b\n" +
+                "    a } from 'x';",
+            output:
+                "import { a,\n" +
+                "    b // b\n" +
+                "} from 'x';",
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import {\n" +
+                "  b, a // ay\n" +
+                "} from 'x';",
+            output:
+                "import {\n" +
+                "  a, // ay\n" +
+                "  b\n" +
+                "} from 'x';",
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "import { b, a // ay\n" +
+                "} from 'x';",
+            output:
+                "import { a, // ay\n" +
+                "    b\n" +
+                "} from 'x';",
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+
+        // Merge duplicate imports
+        {
+            code:
+                "import { b } from 'x';\n" +
+                "import { a } from 'x';",
+            output:
+                "import { a, b } from 'x';",
+            options: [{ mergeDuplicates: true }],
+            errors: [{
+                message: "'x' is already imported.",
+                type: "ImportDeclaration"
+            }, expectedError],
+        },
+        {
+            code:
+                "import a from 'x';\n" +
+                "import {b} from 'y';\n" +
+                "import {c} from 'x';",
+            output:
+                "import {b} from 'y';\n" +
+                "import a, {c} from 'x';",
+            options: [{ mergeDuplicates: true }],
+            errors: [{
+                message: "Expected 'multiple' syntax before 'single' syntax.",
+                type: "ImportDeclaration"
+            }, {
+                message: "'x' is already imported.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import * as ns from 'x';\n" +
+                "import def from 'x'",
+            output:
+                "import def, * as ns from 'x';",
+            options: [{ mergeDuplicates: true }],
+            errors: [{
+                message: "'x' is already imported.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import {b} from 'x';\n" +
+                "import type {A} from 'x';",
+            output:
+                "import {type A, b} from 'x';",
+            options: [{ mergeDuplicates: true, memberTypeSortStrategy: "before" }],
+            parser: require.resolve('babel-eslint'),
+            errors: [{
+                message: "'x' is already imported.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import {b} from 'x'; // b\n" +
+                "import {a} from 'x';",
+            output:
+                "import {a, b} from 'x'; // b",
+            options: [{ mergeDuplicates: true }],
+            errors: [{
+                message: "'x' is already imported.",
+                type: "ImportDeclaration"
+            }, expectedError],
+        },
+        {
+            code:
+                "import {b} from 'x';\n" +
+                "import {a} from 'x'; // a",
+            output:
+                "import {a} from 'x'; // a\n" +
+                "import {b} from 'x';",
+            options: [{ mergeDuplicates: true }],
+            errors: [expectedError],
+        },
+
+        // Hoist imports after other statements
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "foo();\n" +
+                "import a from 'a.js';\n",
+            output:
+                "import b from 'b.js';\n" +
+                "import a from 'a.js';\n" +
+                "foo();\n",
+            options: [{ hoistImports: true }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "'use strict';\n" +
+                "foo();\n" +
+                "import a from 'a.js';\n",
+            output:
+                "'use strict';\n" +
+                "import a from 'a.js';\n" +
+                "foo();\n",
+            options: [{ hoistImports: true }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "foo();\n" +
+                "// @ts-ignore\n" +
+                "import a from 'a.js'; // a\n",
+            output:
+                "import b from 'b.js';\n" +
+                "// @ts-ignore\n" +
+                "import a from 'a.js'; // a\n" +
+                "foo();\n",
+            options: [{ hoistImports: true }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "foo();\n" +
+                "'use strict';\n" +
+                "import a from 'a.js';\n",
+            output: null,
+            options: [{ hoistImports: true }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "foo();\n" +
+                "import './polyfill';\n" +
+                "import a from 'a.js';\n",
+            output: null,
+            options: [{ hoistImports: true, sideEffectImports: "barrier" }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }, {
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "const b = require('b');\n" +
+                "const a = require('a');\n",
+            output:
+                "const a = require('a');\n" +
+                "const b = require('b');\n",
+            options: [{ commonjs: true }],
+            errors: [{
+                message: "Imports should be sorted alphabetically.",
+                type: "VariableDeclaration"
+            }],
+        },
+        {
+            code:
+                "const {b, c} = require('b');\n" +
+                "const a = require('a');\n" +
+                "require('polyfill');\n",
+            output:
+                "require('polyfill');\n" +
+                "const a = require('a');\n" +
+                "const {b, c} = require('b');\n",
+            options: [{ commonjs: true }],
+            errors: [{
+                message: "Expected 'all' syntax before 'multiple' syntax.",
+                type: "VariableDeclaration"
+            }, {
+                message: "Expected 'none' syntax before 'all' syntax.",
+                type: "ExpressionStatement"
+            }],
+        },
+        {
+            code: "const {c, a: x, b} = require('c');\n",
+            output: "const {b, c, a: x} = require('c');\n",
+            options: [{ commonjs: true }],
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "Property"
+            }],
+        },
+        {
+            code: "const {c, a: x, b} = require('c');\n",
+            output: "const {a: x, b, c} = require('c');\n",
+            options: [{ commonjs: true, memberSortKey: "imported" }],
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "Property"
+            }],
+        },
+        {
+            code:
+                "const local = require('./local');\n" +
+                "const fs = require('fs');\n",
+            output:
+                "const fs = require('fs');\n" +
+                "const local = require('./local');\n",
+            options: [{ commonjs: true, groups: ["builtin", "sibling"] }],
+            errors: [{
+                message: "Expected 'builtin' imports before 'sibling' imports.",
+                type: "VariableDeclaration"
+            }],
+        },
+        {
+            code:
+                "import {c, b} from 'c.js';\n" +
+                "import a from 'a.js';\n" +
+                "import * as d from 'd.js';\n",
+            output:
+                "import * as d from 'd.js';\n" +
+                "import {b, c} from 'c.js';\n" +
+                "import a from 'a.js';\n",
+            errors: [{
+                messageId: "sortMembers",
+                data: { memberName: "b" }
+            }, {
+                messageId: "syntaxOrder",
+                data: { syntaxA: "all", syntaxB: "single" }
+            }],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "foo();\n" +
+                "import './polyfill';\n",
+            output: null,
+            options: [{ hoistImports: true, sideEffectImports: "barrier" }],
+            errors: [{
+                messageId: "hoistImport",
+                suggestions: [{
+                    messageId: "hoistAcrossBarrier",
+                    output:
+                        "import b from 'b.js';\n" +
+                        "import './polyfill';\n" +
+                        "foo();\n"
+                }]
+            }],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "import a from 'a.js';\n" +
+                "foo();\n" +
+                "import d from 'd.js';\n" +
+                "import c from 'c.js';\n",
+            output:
+                "import a from 'a.js';\n" +
+                "import b from 'b.js';\n" +
+                "foo();\n" +
+                "import c from 'c.js';\n" +
+                "import d from 'd.js';\n",
+            errors: [expectedError, expectedError],
+        },
+        {
+            code:
+                "import b from 'b.js';\n" +
+                "import a from 'a.js';\n" +
+                "declare module 'foo' {\n" +
+                "    import d from 'd.js';\n" +
+                "    import c from 'c.js';\n" +
+                "}\n" +
+                "declare global {\n" +
+                "    import {f, e} from 'e.js';\n" +
+                "}\n",
+            output:
+                "import a from 'a.js';\n" +
+                "import b from 'b.js';\n" +
+                "declare module 'foo' {\n" +
+                "    import c from 'c.js';\n" +
+                "    import d from 'd.js';\n" +
+                "}\n" +
+                "declare global {\n" +
+                "    import {e, f} from 'e.js';\n" +
+                "}\n",
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+            errors: [expectedError, expectedError, {
+                message: "Member 'e' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }],
+        },
+        {
+            code:
+                "declare module 'foo' {\n" +
+                "    import b from 'b.js';\n" +
+                "    export const x: number;\n" +
+                "    import a from 'a.js';\n" +
+                "}\n",
+            output:
+                "declare module 'foo' {\n" +
+                "    import b from 'b.js';\n" +
+                "    import a from 'a.js';\n" +
+                "    export const x: number;\n" +
+                "}\n",
+            options: [{ hoistImports: true }],
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "import c from 'c.js';\n" +
+                "import b = require('b.js');\n" +
+                "export import a = require('a.js');\n",
+            output:
+                "export import a = require('a.js');\n" +
+                "import b = require('b.js');\n" +
+                "import c from 'c.js';\n",
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+            errors: [{
+                message: "Expected 'all' syntax before 'single' syntax.",
+                type: "TSImportEqualsDeclaration"
+            }, {
+                message: "Imports should be sorted alphabetically.",
+                type: "TSImportEqualsDeclaration"
+            }],
+        },
+        {
+            code:
+                "import a = require('a.js');\n" +
+                "import b from 'b.js';\n" +
+                "foo();\n" +
+                "import c from 'c.js';\n",
+            output:
+                "import a = require('a.js');\n" +
+                "import b from 'b.js';\n" +
+                "import c from 'c.js';\n" +
+                "foo();\n",
+            options: [{ hoistImports: true }],
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+
+        // Re-wrap sorted members
+        {
+            code:
+                "import {c, b,\n    a} from 'x';",
+            output:
+                "import {a, b, c} from 'x';",
+            options: [{ memberFormatting: { layout: "singleLine" } }],
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code:
+                "import { c, b, a } from 'x';",
+            output:
+                "import {\n" +
+                "    a,\n" +
+                "    b,\n" +
+                "    c,\n" +
+                "} from 'x';",
+            options: [{ memberFormatting: { layout: "onePerLine", trailingComma: "always-multiline" } }],
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code:
+                "import { cccccc, bbbbbb, aaaaaa } from 'x';",
+            output:
+                "import {\n" +
+                "    aaaaaa,\n" +
+                "    bbbbbb,\n" +
+                "    cccccc\n" +
+                "} from 'x';",
+            options: [{ memberFormatting: { maxLineLength: 40 } }],
+            errors: [{
+                message: "Member 'bbbbbb' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code:
+                "import { b, a } from 'x';",
+            output:
+                "import { a, b } from 'x';",
+            options: [{ memberFormatting: { maxLineLength: 40 } }],
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code:
+                "  import {\n" +
+                "      c, b,\n" +
+                "      a\n" +
+                "  } from 'x';",
+            output:
+                "  import {\n" +
+                "      a, b,\n" +
+                "      c,\n" +
+                "  } from 'x';",
+            options: [{ memberFormatting: { maxLineLength: 10, trailingComma: "always" } }],
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code:
+                "import {\n" +
+                "    c, b,\n" +
+                "    a\n" +
+                "} from 'x';",
+            output:
+                "import {\n" +
+                "    a,\n" +
+                "    b,\n" +
+                "    c\n" +
+                "} from 'x';",
+            options: [{ memberFormatting: { layout: "onePerLine", trailingComma: "never" } }],
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code:
+                "import {\n" +
+                "    c, // c\n" +
+                "    b,\n" +
+                "    a,\n" +
+                "} from 'x';",
+            output:
+                "import {\n" +
+                "    a,\n" +
+                "    b,\n" +
+                "    c // c\n" +
+                "} from 'x';",
+            options: [{ memberFormatting: { layout: "singleLine", trailingComma: "never" } }],
+            errors: [{
+                message: "Member 'b' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code:
+                "import {c} from 'x';\n" +
+                "import {b, a} from 'x';",
+            output:
+                "import {\n" +
+                "    a,\n" +
+                "    b,\n" +
+                "    c\n" +
+                "} from 'x';",
+            options: [{ mergeDuplicates: true, memberFormatting: { maxLineLength: 20 } }],
+            errors: [{
+                message: "'x' is already imported.",
+                type: "ImportDeclaration"
+            }, expectedError, {
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+
+        // Sort members by memberGroups
+        {
+            code: "import {useState, Component, VERSION, Button, MAX_SIZE} from 'react';",
+            output: "import {MAX_SIZE, VERSION, Button, Component, useState} from 'react';",
+            options: [{ memberGroups: ["UPPER_CASE", "PascalCase", "camelCase"] }],
+            errors: [{
+                message: "Expected 'PascalCase' members before 'camelCase' members.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code: "import {Component, useState, _private, $store} from 'react';",
+            output: "import {$store, _private, useState, Component} from 'react';",
+            options: [{ memberGroups: ["camelCase", "PascalCase"] }],
+            errors: [{
+                message: "Expected 'camelCase' members before 'PascalCase' members.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code: "import {VERSION, b, a} from 'x';",
+            output: "import {VERSION, a, b} from 'x';",
+            options: [{ memberGroups: ["UPPER_CASE", "camelCase"] }],
+            errors: [{
+                message: "Member 'a' of the import declaration should be sorted alphabetically.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code: "import {b, useA, a} from 'x';",
+            output: "import {useA, a, b} from 'x';",
+            options: [{ memberGroups: [{ name: "hooks", pattern: "^use" }] }],
+            errors: [{
+                message: "Expected 'hooks' members before 'other' members.",
+                type: "ImportSpecifier"
+            }]
+        },
+        {
+            code: "import {a as useA, b} from 'x';",
+            output: "import {b, a as useA} from 'x';",
+            options: [{ memberGroups: [{ pattern: "^[a-t]" }], memberSortKey: "local" }],
+            errors: [{
+                message: "Expected '^[a-t]' members before 'other' members.",
+                type: "ImportSpecifier"
+            }]
+        },
+
+        // Keep the text between declarations when fixing blank lines
+        {
+            code:
+                "import a from 'a'; // a\n" +
+                "\n" +
+                "import c from 'c'; import b from 'b';",
+            output:
+                "import a from 'a'; // a\n" +
+                "import b from 'b'; import c from 'c';",
+            options: [{ newlinesBetween: "never" }],
+            errors: [{
+                message: "Unexpected blank line between imports.",
+                type: "ImportDeclaration"
+            }, expectedError],
+        },
+
+        // Keep the text between other declarations when merging
+        {
+            code:
+                "import {b} from 'x';\n" +
+                "import {c} from 'c'; foo();\n" +
+                "import {a} from 'x';\n" +
+                "import {d} from 'z';",
+            output:
+                "import {c} from 'c';\n" +
+                "import {b} from 'x'; foo();\n" +
+                "import {a} from 'x';\n" +
+                "import {d} from 'z';",
+            options: [{ mergeDuplicates: true, sortBy: "source" }],
+            errors: [expectedError],
+        },
+
+        // Remove the whitespace before a hoisted import at the end of a line
+        {
+            code:
+                "import a from 'a.js';\n" +
+                "foo(); import c from 'c.js';\n" +
+                "bar();\n",
+            output:
+                "import a from 'a.js';\n" +
+                "import c from 'c.js';\n" +
+                "foo();\n" +
+                "bar();\n",
+            options: [{ hoistImports: true }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+
+        // Type imports with the same kind of bindings are merged
+        {
+            code:
+                "import type {B} from './x';\n" +
+                "import type {A} from './x';",
+            output:
+                "import type {A, B} from './x';",
+            options: [{ mergeDuplicates: true }],
+            parser: require.resolve('@typescript-eslint/parser'),
+            parserOptions: { sourceType: 'module' },
+            errors: [{
+                message: "'./x' is already imported.",
+                type: "ImportDeclaration"
+            }, expectedError],
+        },
+
+        // Keep the line breaks of the file when hoisting imports
+        {
+            code:
+                "import a from 'a.js';\r\n" +
+                "foo();\r\n" +
+                "import b from 'b.js';\r\n",
+            output:
+                "import a from 'a.js';\r\n" +
+                "import b from 'b.js';\r\n" +
+                "foo();\r\n",
+            options: [{ hoistImports: true }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
+        },
+        {
+            code:
+                "'use strict';\r\n" +
+                "foo();\r\n" +
+                "import b from 'b.js';\r\n",
+            output:
+                "'use strict';\r\n" +
+                "import b from 'b.js';\r\n" +
+                "foo();\r\n",
+            options: [{ hoistImports: true }],
+            errors: [{
+                message: "Expected imports before all other statements.",
+                type: "ImportDeclaration"
+            }],
         }
     ]
 };
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Tests for the standalone sortImports API.
+ * @author Christian Schuller
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert");
+var espree = require("espree");
+var sortImports = require("../lib/sort-imports").sortImports;
+
+/**
+ * A parser for import attributes, which espree does not support yet. It parses the `with` and `assert` clauses as comments
+ * and adds their attributes to the AST.
+ */
+var attributesParser = {
+    parse(text, options) {
+        var clauses = [];
+        var ast = espree.parse(text.replace(/\b(?:with|assert) \{([^}]*)\}/g, (match, attributes, offset) => {
+            clauses.push({ start: offset, end: offset + match.length, attributes });
+            return `/*${" ".repeat(match.length - 4)}*/`;
+        }), options);
+
+        ast.comments = ast.comments.filter(comment => !clauses.some(clause => clause.start === comment.range[0]));
+        ast.body.filter(node => node.type === "ImportDeclaration").forEach(node => {
+            var clause = clauses.find(current => current.start >= node.range[0] && current.end <= node.range[1]);
+            node.attributes = clause ? clause.attributes.split(",").map(attribute => {
+                var parts = attribute.split(":").map(part => part.trim().replace(/^'|'$/g, ""));
+                return { type: "ImportAttribute", key: { type: "Identifier", name: parts[0] }, value: { type: "Literal", value: parts[1] } };
+            }) : [];
+        });
+        return ast;
+    }
+};
+
+/**
+ * A parser for string literal names of imported members, which espree does not support yet. It parses the names as identifiers
+ * of the same length and turns them into literals in the AST.
+ */
+var stringNamesParser = {
+    parse(text, options) {
+        var names = [];
+        var ast = espree.parse(text.replace(/(["'])([^"']*)\1(?=\s+as\b)/g, (match, quote, value, offset) => {
+            names.push({ start: offset, value, raw: match });
+            return `_${"_".repeat(match.length - 1)}`;
+        }), options);
+
+        ast.body.filter(node => node.type === "ImportDeclaration").forEach(node => node.specifiers.forEach(specifier => {
+            var name = specifier.imported && names.find(current => current.start === specifier.imported.range[0]);
+            if (name) {
+                specifier.imported = Object.assign({}, specifier.imported, { type: "Literal", value: name.value, raw: name.raw });
+                delete specifier.imported.name;
+            }
+        }));
+        return ast;
+    }
+};
+
+/**
+ * A TypeScript parser that wraps `export import a = require('a')` in an ExportNamedDeclaration, like newer versions of
+ * @typescript-eslint/parser do.
+ */
+var exportImportParser = {
+    parse(text, options) {
+        var ast = require("@typescript-eslint/parser").parse(text, options);
+
+        ast.body = ast.body.map(node => (node.type === "TSImportEqualsDeclaration" && node.isExport ? {
+            type: "ExportNamedDeclaration",
+            declaration: Object.assign({}, node, { range: [node.range[0] + "export ".length, node.range[1]] }),
+            specifiers: [],
+            source: null,
+            range: node.range,
+            loc: node.loc
+        } : node));
+        return ast;
+    }
+};
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("sortImports", () => {
+    it("returns sorted source unchanged without violations", () => {
+        var source = "import a from 'a.js';\nimport b from 'b.js';\n";
+
+        assert.deepStrictEqual(sortImports(source), { output: source, violations: [] });
+    });
+
+    it("sorts declarations and members and reports violations", () => {
+        var result = sortImports("import b from 'b.js';\nimport {d, c} from 'c.js';\nimport a from 'a.js';\n");
+
+        assert.strictEqual(result.output, "import {c, d} from 'c.js';\nimport a from 'a.js';\nimport b from 'b.js';\n");
+        assert.deepStrictEqual(result.violations, [{
+            messageId: "syntaxOrder",
+            message: "Expected 'multiple' syntax before 'single' syntax.",
+            line: 2,
+            column: 1,
+            endLine: 2,
+            endColumn: 27,
+            fixable: true
+        }, {
+            messageId: "sortMembers",
+            message: "Member 'c' of the import declaration should be sorted alphabetically.",
+            line: 2,
+            column: 12,
+            endLine: 2,
+            endColumn: 13,
+            fixable: true
+        }]);
+    });
+
+    it("fixes until nothing is left to fix, like eslint --fix", () => {
+        var result = sortImports("import b from 'b.js';\nfoo();\nimport a from 'a.js';\n", { hoistImports: true });
+
+        assert.strictEqual(result.output, "import a from 'a.js';\nimport b from 'b.js';\nfoo();\n");
+        assert.deepStrictEqual(result.violations.map(violation => violation.messageId), ["hoistImport"]);
+    });
+
+    it("accepts the options of the rule", () => {
+        var result = sortImports("const b = require('b');\nconst a = require('a');\n", { commonjs: true }, { parserOptions: { sourceType: "script" } });
+
+        assert.strictEqual(result.output, "const a = require('a');\nconst b = require('b');\n");
+    });
+
+    it("accepts another parser", () => {
+        var result = sortImports("import b from 'b.js';\nimport type {A} from 'a.js';\n", { typeSortStrategy: "before" }, { parser: require("babel-eslint") });
+
+        assert.strictEqual(result.output, "import type {A} from 'a.js';\nimport b from 'b.js';\n");
+    });
+
+    it("accepts source text with its AST", () => {
+        var parser = require("@typescript-eslint/parser"),
+            text = "import b from 'b.js';\nimport a from 'a.js';\nlet x: number;\n",
+            ast = parser.parse(text, { sourceType: "module", range: true, loc: true, tokens: true, comment: true });
+
+        assert.strictEqual(sortImports({ text, ast }, {}, { parser }).output, "import a from 'a.js';\nimport b from 'b.js';\nlet x: number;\n");
+    });
+
+    it("requires the parser and the tokens and comments of an AST", () => {
+        var parser = require("@typescript-eslint/parser"),
+            text = "import b from 'b.js';\nimport a from 'a.js';\nlet x: number;\n";
+
+        assert.throws(() => sortImports({ text, ast: parser.parse(text, { sourceType: "module", range: true, loc: true, tokens: true, comment: true }) }), {
+            name: "TypeError",
+            message: "Pass the parser of the AST in parserConfig, to parse the fixed source again."
+        });
+        assert.throws(() => sortImports({ text, ast: parser.parse(text, { sourceType: "module", range: true, loc: true }) }, {}, { parser }), {
+            name: "TypeError",
+            message: "The AST needs its tokens and comments, parse the source with the tokens and comment parser options."
+        });
+    });
+
+    it("sorts TypeScript type imports of modules required with import equals", () => {
+        var parser = require("@typescript-eslint/parser"),
+            text = "import a = require('a.js');\nimport b from 'b.js';\n",
+            ast = parser.parse(text, { sourceType: "module", range: true, loc: true, tokens: true, comment: true });
+
+        // `import type a = require('a.js')` needs a newer parser.
+        ast.body[0].importKind = "type";
+
+        assert.deepStrictEqual(sortImports({ text, ast }, {}, { parser }).violations.map(violation => violation.message), [
+            "Expected type imports 'after' all other imports."
+        ]);
+    });
+
+    it("sorts exported import equals declarations wrapped in export declarations", () => {
+        var parserConfig = { parser: exportImportParser, parserOptions: { sourceType: "module" } };
+
+        assert.strictEqual(
+            sortImports("export import b = require('b');\nexport import a = require('a');\n", {}, parserConfig).output,
+            "export import a = require('a');\nexport import b = require('b');\n"
+        );
+        assert.strictEqual(
+            sortImports("export import b = require('b');\nimport a from 'a';\nfoo();\n", { hoistImports: true }, parserConfig).output,
+            "export import b = require('b');\nimport a from 'a';\nfoo();\n"
+        );
+    });
+
+    it("sorts members by string literal imported names", () => {
+        var result = sortImports("import { \"c-d\" as a, \"a-b\" as b } from 'x';\n", { memberSortKey: "imported" }, { parser: stringNamesParser });
+
+        assert.strictEqual(result.output, "import { \"a-b\" as b, \"c-d\" as a } from 'x';\n");
+        assert.deepStrictEqual(result.violations.map(violation => violation.message), [
+            "Member 'a-b' of the import declaration should be sorted alphabetically."
+        ]);
+        assert.strictEqual(sortImports(result.output, { memberSortKey: "local" }, { parser: stringNamesParser }).output, "import { \"c-d\" as a, \"a-b\" as b } from 'x';\n");
+    });
+
+    it("orders imports with attributes after all other imports", () => {
+        var result = sortImports(
+            "import data from './data.json' with { type: 'json' };\nimport a from 'a.js';\n",
+            { attributesSortStrategy: "after" },
+            { parser: attributesParser }
+        );
+
+        assert.strictEqual(result.output, "import a from 'a.js';\nimport data from './data.json' with { type: 'json' };\n");
+        assert.deepStrictEqual(result.violations.map(violation => violation.message), [
+            "Expected imports with attributes 'after' all other imports."
+        ]);
+    });
+
+    it("orders imports of the same module by their attributes", () => {
+        var result = sortImports(
+            "import b from './data.json' assert { type: 'json' };\nimport a from './data.json';\n",
+            { sortBy: "source" },
+            { parser: attributesParser }
+        );
+
+        assert.strictEqual(result.output, "import a from './data.json';\nimport b from './data.json' assert { type: 'json' };\n");
+    });
+
+    it("keeps the attributes when sorting members and merging imports", () => {
+        var result = sortImports(
+            "import {d, c} from './data.json' with { type: 'json' };\n" +
+            "import {b} from './data.json' with { type: 'json' };\n" +
+            "import {a} from './data.json';\n",
+            { mergeDuplicates: true, sortBy: "source" },
+            { parser: attributesParser }
+        );
+
+        assert.strictEqual(result.output, "import {a} from './data.json';\nimport {b, c, d} from './data.json' with { type: 'json' };\n");
+    });
+
+    it("keeps a byte order mark and a hashbang", () => {
+        assert.strictEqual(
+            sortImports("\uFEFF#!/usr/bin/env node\nimport b from 'b.js';\nimport a from 'a.js';\n").output,
+            "\uFEFF#!/usr/bin/env node\nimport a from 'a.js';\nimport b from 'b.js';\n"
+        );
+    });
+});